@@ -1,5 +1,19 @@
 'use strict';
 
 const jsTools = require('./lib/jsonschema-tools.js');
+const { createSchemaServer } = require('./lib/server.js');
+const { runRepositoryTests, formatTestReport } = require('./lib/tests/runner.js');
+const { lintSchemas, formatLintViolations } = require('./lib/lint.js');
+const { initSchemaRepository, scaffoldSchema } = require('./lib/init.js');
 
-module.exports = { ...jsTools, tests: require('./lib/tests') };
+module.exports = {
+    ...jsTools,
+    createSchemaServer,
+    runRepositoryTests,
+    formatTestReport,
+    lintSchemas,
+    formatLintViolations,
+    initSchemaRepository,
+    scaffoldSchema,
+    tests: require('./lib/tests')
+};
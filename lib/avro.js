@@ -0,0 +1,223 @@
+'use strict';
+
+const _ = require('lodash');
+const {
+    conversionError,
+    mergeOneOf,
+    assertNoUnsupportedKeywords,
+} = require('./conversion');
+
+/**
+ * Map of JSONSchema primitive type to Avro primitive type.
+ * JSON integers may be larger than an Avro int, so they are always longs.
+ */
+const avroPrimitiveTypes = {
+    string: 'string',
+    integer: 'long',
+    number: 'double',
+    boolean: 'boolean',
+    null: 'null',
+};
+
+/**
+ * Avro names must start with [A-Za-z_] and then only contain [A-Za-z0-9_].
+ * See: https://avro.apache.org/docs/current/spec.html#names
+ * @constant
+ * @type {RegExp}
+ */
+const avroNameRegex = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Returns an Error for a JSONSchema construct at path that cannot be converted to Avro.
+ * @param {string} path
+ * @param {string} message
+ * @return {Error}
+ */
+function avroConversionError(path, message) {
+    return conversionError('Avro', path, message);
+}
+
+/**
+ * Converts name into a valid Avro name by replacing invalid characters with '_',
+ * e.g. $schema -> _schema.
+ * @param {string} name
+ * @return {string}
+ */
+function avroName(name) {
+    const sanitizedName = name.replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[0-9]/.test(sanitizedName) ? `_${sanitizedName}` : sanitizedName;
+}
+
+/**
+ * Converts a JSONSchema string enum to an Avro enum.
+ * @param {Object} node
+ * @param {string} name
+ * @param {string} namespace
+ * @param {string} path
+ * @return {Object}
+ */
+function avroEnum(node, name, namespace, path) {
+    if (node.type !== 'string') {
+        throw avroConversionError(path, `only string enums are supported, got ${node.type} enum`);
+    }
+    const invalidSymbol = node.enum.find(symbol => !avroNameRegex.test(symbol));
+    if (!_.isUndefined(invalidSymbol)) {
+        throw avroConversionError(path, `enum value ${JSON.stringify(invalidSymbol)} is not a valid Avro enum symbol`);
+    }
+    const avroEnumType = { type: 'enum', name };
+    if (namespace) {
+        avroEnumType.namespace = namespace;
+    }
+    avroEnumType.symbols = node.enum;
+    return avroEnumType;
+}
+
+/**
+ * Converts a (dereferenced) JSONSchema node to an Avro type.
+ * @param {Object} node
+ * @param {string} name Avro name to use if node is converted to a named type (record or enum).
+ * @param {string} namespace Avro namespace to use for named types.
+ * @param {string} path
+ * @return {string|Object|Array}
+ */
+function avroType(node, name, namespace, path) {
+    /**
+     * Converts a JSONSchema object schema with properties to an Avro record.
+     * Properties that are not required become nullable fields with a null default.
+     * @param {Object} node
+     * @param {string} name Avro name of the record.
+     * @param {string} namespace Avro namespace of the record.
+     * @param {string} path
+     * @return {Object}
+     */
+    function avroRecord(node, name, namespace, path) {
+        const fullName = namespace ? `${namespace}.${name}` : name;
+        const required = node.required || [];
+        // Avro field name -> JSONSchema property name, used to detect collisions.
+        const fieldProperties = {};
+
+        const fields = Object.keys(node.properties).map((prop) => {
+            const propertyPath = `${path}/properties/${prop}`;
+            const propertySchema = node.properties[prop];
+            const fieldName = avroName(prop);
+            if (_.has(fieldProperties, fieldName)) {
+                throw avroConversionError(
+                    propertyPath,
+                    `Avro field name ${fieldName} is also used for property ${fieldProperties[fieldName]}`
+                );
+            }
+            fieldProperties[fieldName] = prop;
+
+            const type = avroType(propertySchema, fieldName, fullName, propertyPath);
+            const field = { name: fieldName };
+            if (propertySchema.description) {
+                field.doc = propertySchema.description.trim();
+            }
+            if (required.includes(prop)) {
+                field.type = type;
+            } else {
+                // Avro union defaults must be of the first type in the union.
+                field.type = Array.isArray(type) ? type : ['null', type];
+                field.default = null;
+            }
+            return field;
+        });
+
+        const record = { type: 'record', name };
+        if (namespace) {
+            record.namespace = namespace;
+        }
+        if (node.description) {
+            record.doc = node.description.trim();
+        }
+        record.fields = fields;
+        return record;
+    }
+
+    if (!_.isPlainObject(node)) {
+        throw avroConversionError(path, 'not a JSONSchema object');
+    }
+    if (node.oneOf) {
+        return avroType(mergeOneOf(node, path, 'Avro'), name, namespace, path);
+    }
+    assertNoUnsupportedKeywords(node, path, 'Avro');
+
+    // The only supported union type is a nullable type, e.g. [string, null].
+    if (Array.isArray(node.type)) {
+        const nonNullTypes = node.type.filter(t => t !== 'null');
+        if (nonNullTypes.length !== 1) {
+            throw avroConversionError(path, `union type ${JSON.stringify(node.type)} is not supported`);
+        }
+        const type = avroType({ ...node, type: nonNullTypes[0] }, name, namespace, path);
+        return nonNullTypes.length === node.type.length ? type : ['null', type];
+    }
+
+    if (_.isUndefined(node.type)) {
+        throw avroConversionError(path, 'type must be specified');
+    }
+
+    if (node.enum) {
+        return avroEnum(node, name, namespace, path);
+    }
+
+    if (_.has(avroPrimitiveTypes, node.type)) {
+        return avroPrimitiveTypes[node.type];
+    }
+
+    if (node.type === 'array') {
+        if (!_.isPlainObject(node.items)) {
+            throw avroConversionError(path, 'array type must specify a single items schema');
+        }
+        return { type: 'array', items: avroType(node.items, name, namespace, `${path}/items`) };
+    }
+
+    if (node.type === 'object') {
+        const isMap = _.isPlainObject(node.additionalProperties);
+        if (node.properties && isMap) {
+            throw avroConversionError(path, 'object type must not specify both properties and additionalProperties schema');
+        } else if (node.properties) {
+            return avroRecord(node, name, namespace, path);
+        } else if (isMap) {
+            return {
+                type: 'map',
+                values: avroType(node.additionalProperties, name, namespace, `${path}/additionalProperties`)
+            };
+        }
+        throw avroConversionError(path, 'object type must specify properties or additionalProperties schema');
+    }
+
+    throw avroConversionError(path, `type ${node.type} is not supported`);
+}
+
+/**
+ * Converts a materialized (dereferenced) JSONSchema to an Avro schema.
+ * The root schema must be an object schema with properties; it is converted to an Avro
+ * record named after the last element of the schema title, with the previous elements
+ * as its namespace. E.g. title mediawiki/revision/create becomes the record
+ * create in namespace mediawiki.revision.
+ *
+ * Nested objects with properties become records, objects with an additionalProperties
+ * schema become maps, string enums become enums, and non-required properties become
+ * nullable union fields with a null default.  Property names that are not valid
+ * Avro names have invalid characters replaced with '_', e.g. $schema becomes _schema.
+ *
+ * Throws an Error describing the JSONSchema path of any construct that can't be converted.
+ *
+ * @param {Object} schema
+ * @param {string} title defaults to schema.title
+ * @return {Object} Avro schema
+ */
+function schemaToAvro(schema, title = schema.title) {
+    if (!title) {
+        throw avroConversionError('', 'schema must have a title to name the Avro record');
+    }
+    if (schema.type !== 'object' || !schema.properties) {
+        throw avroConversionError('', 'root schema must be an object type with properties');
+    }
+    const titleParts = title.split('/').map(avroName);
+    return avroType(schema, _.last(titleParts), _.initial(titleParts).join('.'), '');
+}
+
+module.exports = {
+    schemaToAvro,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Helpers shared by the functions that convert materialized JSONSchemas
+ * to other schema formats, e.g. Avro and Hive.
+ */
+
+/**
+ * Returns an Error for a JSONSchema construct at path that cannot be converted to format.
+ * @param {string} format name of the schema format, e.g. Avro
+ * @param {string} path JSON pointer-ish path to the construct.
+ * @param {string} message
+ * @return {Error}
+ */
+function conversionError(format, path, message) {
+    return new Error(`Cannot convert JSONSchema at #${path} to ${format}: ${message}`);
+}
+
+/**
+ * Merges a oneOf whose schemas all have the same type into a single schema.
+ * oneOf object schemas are merged into one object schema with all of their properties.
+ * Only properties required by every oneOf schema stay required.
+ * @param {Object} node
+ * @param {string} path
+ * @param {string} format name of the schema format being converted to, used in errors.
+ * @return {Object}
+ */
+function mergeOneOf(node, path, format) {
+    const schemas = node.oneOf;
+    const types = _.uniqWith(schemas.map(schema => schema.type), _.isEqual);
+    if (types.length !== 1) {
+        throw conversionError(
+            format, path, `oneOf schemas must all have the same type, got ${JSON.stringify(types)}`
+        );
+    }
+
+    const merged = { ..._.omit(node, 'oneOf'), type: types[0] };
+    if (types[0] === 'object') {
+        merged.properties = { ...node.properties };
+        schemas.forEach((schema) => {
+            _.forEach(schema.properties, (propertySchema, prop) => {
+                if (
+                    _.has(merged.properties, prop) &&
+                    !_.isEqual(merged.properties[prop], propertySchema)
+                ) {
+                    throw conversionError(
+                        format, `${path}/oneOf`, `property ${prop} is defined differently in oneOf schemas`
+                    );
+                }
+                merged.properties[prop] = propertySchema;
+            });
+        });
+        merged.required = _.intersection(...schemas.map(schema => schema.required || []));
+    }
+    return merged;
+}
+
+/**
+ * Throws if node uses keywords that can't be converted to another schema format.
+ * allOf and $ref should have been merged and dereferenced during materialization.
+ * @param {Object} node
+ * @param {string} path
+ * @param {string} format
+ */
+function assertNoUnsupportedKeywords(node, path, format) {
+    if (_.has(node, 'anyOf')) {
+        throw conversionError(format, path, 'anyOf is not supported');
+    }
+    ['allOf', '$ref'].forEach((keyword) => {
+        if (_.has(node, keyword)) {
+            throw conversionError(
+                format, path, `${keyword} is not supported, schemas must be materialized first`
+            );
+        }
+    });
+}
+
+module.exports = {
+    conversionError,
+    mergeOneOf,
+    assertNoUnsupportedKeywords,
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+const _ = require('lodash');
+const {
+    conversionError,
+    mergeOneOf,
+    assertNoUnsupportedKeywords,
+} = require('./conversion');
+
+/**
+ * Map of JSONSchema primitive type to Hive primitive type.
+ */
+const hivePrimitiveTypes = {
+    string: 'STRING',
+    integer: 'BIGINT',
+    number: 'DOUBLE',
+    boolean: 'BOOLEAN',
+};
+
+/**
+ * Returns an Error for a JSONSchema construct at path that cannot be converted to Hive.
+ * @param {string} path
+ * @param {string} message
+ * @return {Error}
+ */
+function hiveConversionError(path, message) {
+    return conversionError('Hive', path, message);
+}
+
+/**
+ * Quotes a Hive identifier with backticks.
+ * @param {string} identifier
+ * @return {string}
+ */
+function quoteIdentifier(identifier) {
+    return `\`${identifier.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Returns a quoted Hive string literal suitable for a COMMENT, on a single line.
+ * @param {string} comment
+ * @return {string}
+ */
+function commentLiteral(comment) {
+    const escaped = comment.trim().replace(/\s+/g, ' ')
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, '\\\'');
+    return `'${escaped}'`;
+}
+
+/**
+ * Returns the default Hive table name for a schema title,
+ * e.g. mediawiki/revision-create -> mediawiki_revision_create.
+ * @param {string} title
+ * @return {string}
+ */
+function hiveTableName(title) {
+    return title.replace(/[^A-Za-z0-9_]/g, '_').toLowerCase();
+}
+
+/**
+ * Quotes a possibly database qualified Hive table name, e.g. event.basic -> `event`.`basic`.
+ * @param {string} tableName
+ * @return {string}
+ */
+function quoteTableName(tableName) {
+    return tableName.split('.').map(quoteIdentifier).join('.');
+}
+
+/**
+ * Converts a (dereferenced) JSONSchema node to a Hive type.
+ * Primitive types are returned as strings, e.g. 'STRING'.
+ * Complex types are returned as objects, e.g.
+ * { type: 'ARRAY', items }, { type: 'MAP', values } or { type: 'STRUCT', fields }.
+ * All Hive columns are nullable, so nullable types are converted to their non null type.
+ * @param {Object} node
+ * @param {string} path
+ * @return {string|Object}
+ */
+function hiveType(node, path) {
+    /**
+     * Converts the properties of a JSONSchema object schema to a list of Hive columns
+     * (or struct fields), as objects with name, type and (maybe) comment.
+     * Hive column names are case insensitive, so properties that only differ in case
+     * can't be converted.
+     * @param {Object} node
+     * @param {string} path
+     * @return {Array<Object>}
+     */
+    function hiveColumns(node, path) {
+        const columnProperties = {};
+        return Object.keys(node.properties).map((prop) => {
+            const propertyPath = `${path}/properties/${prop}`;
+            const propertySchema = node.properties[prop];
+            const lowerCaseName = prop.toLowerCase();
+            if (_.has(columnProperties, lowerCaseName)) {
+                throw hiveConversionError(
+                    propertyPath,
+                    `Hive column names are case insensitive, and ${prop} ` +
+                    `is also used for property ${columnProperties[lowerCaseName]}`
+                );
+            }
+            columnProperties[lowerCaseName] = prop;
+
+            const column = { name: prop, type: hiveType(propertySchema, propertyPath) };
+            if (propertySchema.description) {
+                column.comment = propertySchema.description;
+            }
+            return column;
+        });
+    }
+
+    if (!_.isPlainObject(node)) {
+        throw hiveConversionError(path, 'not a JSONSchema object');
+    }
+    if (node.oneOf) {
+        return hiveType(mergeOneOf(node, path, 'Hive'), path);
+    }
+    assertNoUnsupportedKeywords(node, path, 'Hive');
+
+    let type = node.type;
+    if (Array.isArray(type)) {
+        const nonNullTypes = type.filter(t => t !== 'null');
+        if (nonNullTypes.length !== 1) {
+            throw hiveConversionError(path, `union type ${JSON.stringify(type)} is not supported`);
+        }
+        type = nonNullTypes[0];
+    }
+
+    if (_.isUndefined(type)) {
+        throw hiveConversionError(path, 'type must be specified');
+    }
+
+    // enums are just converted to their type.
+    if (_.has(hivePrimitiveTypes, type)) {
+        return hivePrimitiveTypes[type];
+    }
+
+    if (type === 'array') {
+        if (!_.isPlainObject(node.items)) {
+            throw hiveConversionError(path, 'array type must specify a single items schema');
+        }
+        return { type: 'ARRAY', items: hiveType(node.items, `${path}/items`) };
+    }
+
+    if (type === 'object') {
+        const isMap = _.isPlainObject(node.additionalProperties);
+        if (node.properties && isMap) {
+            throw hiveConversionError(
+                path, 'object type must not specify both properties and additionalProperties schema'
+            );
+        } else if (node.properties) {
+            return { type: 'STRUCT', fields: hiveColumns(node, path) };
+        } else if (isMap) {
+            return {
+                type: 'MAP',
+                values: hiveType(node.additionalProperties, `${path}/additionalProperties`)
+            };
+        }
+        throw hiveConversionError(
+            path, 'object type must specify properties or additionalProperties schema'
+        );
+    }
+
+    throw hiveConversionError(path, `type ${type} is not supported`);
+}
+
+/**
+ * Formats a Hive type returned by hiveType as a Hive type string.
+ * @param {string|Object} type
+ * @return {string}
+ */
+function formatHiveType(type) {
+    if (_.isString(type)) {
+        return type;
+    } else if (type.type === 'ARRAY') {
+        return `ARRAY<${formatHiveType(type.items)}>`;
+    } else if (type.type === 'MAP') {
+        return `MAP<STRING, ${formatHiveType(type.values)}>`;
+    }
+    const fields = type.fields.map(field => `${quoteIdentifier(field.name)}: ${formatHiveType(field.type)}`);
+    return `STRUCT<${fields.join(', ')}>`;
+}
+
+/**
+ * Formats a Hive column as used in CREATE TABLE and ALTER TABLE ADD COLUMNS statements.
+ * @param {Object} column
+ * @return {string}
+ */
+function formatHiveColumn(column) {
+    const comment = column.comment ? ` COMMENT ${commentLiteral(column.comment)}` : '';
+    return `${quoteIdentifier(column.name)} ${formatHiveType(column.type)}${comment}`;
+}
+
+/**
+ * Converts the root of a materialized schema to Hive columns.
+ * @param {Object} schema
+ * @return {Array<Object>}
+ */
+function schemaToHiveColumns(schema) {
+    if (schema.type !== 'object' || !schema.properties) {
+        throw hiveConversionError('', 'root schema must be an object type with properties');
+    }
+    // Only the properties of the root become columns, its other keywords don't apply to them.
+    return hiveType(_.pick(schema, ['type', 'properties']), '').fields;
+}
+
+/**
+ * Returns the Hive type that a column of oldType can be changed to so that it can hold
+ * data of newType without breaking existing data, or undefined if there is none.
+ * The types must be the same, except that newType may add fields to (possibly nested)
+ * structs in oldType.  Struct fields are matched by (case insensitive) name, as the order
+ * of the properties in a schema may change, but Hive reads struct fields by position,
+ * so the returned struct keeps the fields of oldType in their order, followed by the
+ * fields added by newType.
+ * @param {string|Object} newType
+ * @param {string|Object} oldType
+ * @return {string|Object|undefined}
+ */
+function evolvedHiveType(newType, oldType) {
+    if (_.isString(newType) || _.isString(oldType) || newType.type !== oldType.type) {
+        return _.isEqual(newType, oldType) ? oldType : undefined;
+    } else if (newType.type === 'ARRAY') {
+        const items = evolvedHiveType(newType.items, oldType.items);
+        return items && { type: 'ARRAY', items };
+    } else if (newType.type === 'MAP') {
+        const values = evolvedHiveType(newType.values, oldType.values);
+        return values && { type: 'MAP', values };
+    }
+
+    const findField = (fields, name) => fields.find(
+        field => field.name.toLowerCase() === name.toLowerCase()
+    );
+    const fields = [];
+    for (const oldField of oldType.fields) {
+        const newField = findField(newType.fields, oldField.name);
+        const type = newField && evolvedHiveType(newField.type, oldField.type);
+        if (!type) {
+            return undefined;
+        }
+        fields.push({ ...oldField, type });
+    }
+    const addedFields = newType.fields.filter(field => !findField(oldType.fields, field.name));
+    return { type: 'STRUCT', fields: [...fields, ...addedFields] };
+}
+
+/**
+ * Returns a Hive CREATE TABLE statement for a materialized (dereferenced) schema.
+ * Throws an Error describing the JSONSchema path of any construct that can't be converted.
+ * @param {Object} schema
+ * @param {string} tableName defaults to hiveTableName(schema.title)
+ * @return {string}
+ */
+function hiveCreateTableStatement(schema, tableName = hiveTableName(schema.title)) {
+    const columns = schemaToHiveColumns(schema).map(column => `  ${formatHiveColumn(column)}`);
+    return `CREATE TABLE ${quoteTableName(tableName)} (\n${columns.join(',\n')}\n);`;
+}
+
+/**
+ * Returns the Hive ALTER TABLE statements needed to evolve a table created from oldSchema
+ * so that it can hold data of newSchema.  New columns are added with ADD COLUMNS, and struct
+ * columns that had fields added are changed with CHANGE COLUMN, appending the added fields
+ * (see evolvedHiveType).  Reordered struct fields don't change the table.
+ * Throws an Error if the Hive table can't be evolved additively, e.g. if a column
+ * was removed or its type changed.
+ * @param {Object} newSchema
+ * @param {Object} oldSchema
+ * @param {string} tableName defaults to hiveTableName(newSchema.title)
+ * @return {Array<string>} ALTER TABLE statements, empty if the table does not need to change.
+ */
+function hiveAlterTableStatements(
+    newSchema, oldSchema, tableName = hiveTableName(newSchema.title)
+) {
+    const quotedTableName = quoteTableName(tableName);
+    const newColumns = schemaToHiveColumns(newSchema);
+    const oldColumns = schemaToHiveColumns(oldSchema);
+    const findColumn = (columns, name) => columns.find(
+        column => column.name.toLowerCase() === name.toLowerCase()
+    );
+
+    const statements = [];
+    oldColumns.forEach((oldColumn) => {
+        const newColumn = findColumn(newColumns, oldColumn.name);
+        if (!newColumn) {
+            throw new Error(
+                `Cannot evolve Hive table ${tableName} additively: column ${oldColumn.name} was removed`
+            );
+        }
+        const type = evolvedHiveType(newColumn.type, oldColumn.type);
+        if (!type) {
+            throw new Error(
+                `Cannot evolve Hive table ${tableName} additively: column ${oldColumn.name} ` +
+                `type changed from ${formatHiveType(oldColumn.type)} to ${formatHiveType(newColumn.type)}`
+            );
+        }
+        if (formatHiveType(type) === formatHiveType(oldColumn.type)) {
+            return;
+        }
+        const quotedName = quoteIdentifier(oldColumn.name);
+        statements.push(
+            `ALTER TABLE ${quotedTableName} CHANGE COLUMN ${quotedName} ` +
+            `${formatHiveColumn({ ...newColumn, name: oldColumn.name, type })};`
+        );
+    });
+
+    const addedColumns = newColumns.filter(column => !findColumn(oldColumns, column.name));
+    if (!_.isEmpty(addedColumns)) {
+        const columns = addedColumns.map(column => `  ${formatHiveColumn(column)}`);
+        statements.push(`ALTER TABLE ${quotedTableName} ADD COLUMNS (\n${columns.join(',\n')}\n);`);
+    }
+    return statements;
+}
+
+module.exports = {
+    hiveTableName,
+    hiveCreateTableStatement,
+    hiveAlterTableStatements,
+};
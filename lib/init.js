@@ -0,0 +1,299 @@
+'use strict';
+
+const _ = require('lodash');
+const fse = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+    readConfig,
+    defaultOptions,
+    defaultOptionsDocs,
+    serialize,
+    materializeSchemaToPath,
+    findSchemasByTitle,
+    findGitRoot,
+    installGitHook,
+} = require('./jsonschema-tools.js');
+
+/**
+ * defaultOptions that can't be set in config files.
+ */
+const unconfigurableOptions = ['log', 'configPaths'];
+
+const repositoryTestContent = `'use strict';
+
+// Run all jsonschema-tools schema repository tests.
+// Options (e.g. schemaBasePath) are read from .jsonschema-tools.yaml.
+require('@wikimedia/jsonschema-tools').tests.all({ logLevel: 'warn' });
+`;
+
+/**
+ * Serializes an option as a YAML config file entry.
+ * @param {string} name
+ * @param {*} value
+ * @return {string}
+ */
+function configEntry(name, value) {
+    if (_.isUndefined(value)) {
+        return `${name}:`;
+    }
+    return yaml.safeDump({ [name]: value }, { flowLevel: 1 }).trimEnd();
+}
+
+/**
+ * Returns the content of a .jsonschema-tools.yaml config file that sets the options in config,
+ * and lists all other configurable defaultOptions commented out, with their defaults and
+ * documentation.
+ * @param {Object} config
+ * @return {string}
+ */
+function configFileContent(config) {
+    const entries = Object.keys(defaultOptions)
+        .filter(name => !unconfigurableOptions.includes(name))
+        .map((name) => {
+            const comment = (defaultOptionsDocs[name] || []).map(line => `# ${line}`.trimEnd());
+            const entry = _.has(config, name) ?
+                configEntry(name, config[name]) :
+                configEntry(name, defaultOptions[name]).split('\n').map(line => `# ${line}`).join('\n');
+            return [...comment, entry].join('\n');
+        });
+    return '# jsonschema-tools config.  Options that are commented out are set to their defaults.\n' +
+        '# CLI options take precedence over the options set here.\n\n' +
+        `${entries.join('\n\n')}\n`;
+}
+
+/**
+ * Map of JSONSchema draft (as in defaultSchemaDraft) to its metaschema URI,
+ * used as the $schema of new schemas.
+ */
+const draftMetaSchemaUris = {
+    'draft-07': 'https://json-schema.org/draft-07/schema#',
+    '2019-09': 'https://json-schema.org/draft/2019-09/schema',
+    '2020-12': 'https://json-schema.org/draft/2020-12/schema',
+};
+
+/**
+ * Returns a starter schema with title and version 1.0.0, with only a $schema field.
+ * Object schemas need at least one typed field to have deterministic types
+ * (see the robustness tests).
+ * @param {string} title
+ * @param {Object} options
+ * @return {Object}
+ */
+function starterSchema(title, options) {
+    return {
+        title,
+        description: `The ${title} schema.`,
+        $id: `/${title}/1.0.0`,
+        $schema: draftMetaSchemaUris[options.defaultSchemaDraft] || draftMetaSchemaUris['draft-07'],
+        type: 'object',
+        properties: {
+            $schema: {
+                type: 'string',
+                description: 'The URI identifying the JSONSchema for this event, i.e. its $id.',
+            },
+        },
+    };
+}
+
+/**
+ * Returns an example schema with title, that passes the schema repository tests.
+ * @param {string} title
+ * @param {Object} options
+ * @return {Object}
+ */
+function exampleSchema(title, options) {
+    const schema = starterSchema(title, options);
+    return {
+        ...schema,
+        description: `Example ${title} schema.  Replace it with your own schemas.`,
+        additionalProperties: false,
+        required: ['$schema', 'message'],
+        properties: {
+            ...schema.properties,
+            message: {
+                type: 'string',
+                description: 'An example message.',
+                maxLength: 1024,
+            },
+        },
+        examples: [
+            { $schema: { $ref: '#/$id' }, message: 'Hello world' },
+        ],
+    };
+}
+
+/**
+ * Writes content to filePath, unless it already exists.
+ * @param {string} filePath
+ * @param {string} content
+ * @param {Object} options
+ * @return {Promise<boolean>} true if filePath was (or would have been, if dryRun) written.
+ */
+async function writeNewFile(filePath, content, options) {
+    if (await fse.pathExists(filePath)) {
+        options.log.warn(`Not overwriting existing ${filePath}`);
+        return false;
+    }
+    if (options.dryRun) {
+        options.log.info(`--dry-run: Would have written ${filePath}`);
+    } else {
+        options.log.info(`Writing ${filePath}`);
+        await fse.outputFile(filePath, content);
+    }
+    return true;
+}
+
+/**
+ * Returns the current schema file name for options.currentName.
+ * @param {Object} options
+ * @return {string}
+ */
+function currentFileName(options) {
+    return path.extname(options.currentName) ?
+        options.currentName : `${options.currentName}.${options.contentTypes[0]}`;
+}
+
+/**
+ * Scaffolds a new schema repository in repositoryPath:
+ *
+ * - A .jsonschema-tools.yaml config file that sets the options in config, and documents
+ *   all other options with their defaults (commented out).  schemaBasePath defaults to
+ *   jsonschema, and is relative to repositoryPath.
+ * - A test/schema-repository.js file that runs the schema repository tests with mocha.
+ * - An example schema (current and materialized) titled options.exampleSchemaTitle
+ *   (default example) in schemaBasePath.  If options.exampleSchemaTitle is empty,
+ *   no example schema is created.
+ * - The git pre-commit hook (see installGitHook), unless options.shouldInstallGitHook is
+ *   false, or repositoryPath is not in a git repository.
+ *
+ * Existing files are not overwritten.  If options.dryRun, nothing is written.
+ *
+ * @param {string} repositoryPath
+ * @param {Object} config options to set in the config file.
+ * @param {Object} options
+ * @return {Promise<Array<string>>} paths of the created files.
+ */
+async function initSchemaRepository(repositoryPath = process.cwd(), config = {}, options = {}) {
+    options = _.defaults(readConfig(options), {
+        exampleSchemaTitle: 'example',
+        shouldInstallGitHook: true,
+    });
+    config = _.defaults(_.omitBy(config, _.isUndefined), { schemaBasePath: 'jsonschema' });
+
+    const files = [];
+    const configPath = path.join(repositoryPath, '.jsonschema-tools.yaml');
+    if (await writeNewFile(configPath, configFileContent(config), options)) {
+        files.push(configPath);
+    }
+    const testPath = path.join(repositoryPath, 'test', 'schema-repository.js');
+    if (await writeNewFile(testPath, repositoryTestContent, options)) {
+        files.push(testPath);
+    }
+
+    const title = options.exampleSchemaTitle;
+    const schemaBasePath = path.resolve(repositoryPath, config.schemaBasePath);
+    const schemaDirectory = path.join(schemaBasePath, title || '');
+    if (title && await fse.pathExists(schemaDirectory)) {
+        options.log.warn(`Not creating example schema in existing ${schemaDirectory}`);
+    } else if (title) {
+        // Materialize the example schema as the new repository's config would.
+        const repositoryOptions = {
+            ..._.omit(defaultOptions, unconfigurableOptions),
+            ...config,
+            log: options.log,
+            dryRun: options.dryRun,
+            schemaBasePath,
+            schemaBaseUris: config.schemaBaseUris || [schemaBasePath],
+        };
+        const currentName = currentFileName(repositoryOptions);
+        const currentPath = path.join(schemaDirectory, currentName);
+        const schema = exampleSchema(title, repositoryOptions);
+        const contentType = path.extname(currentName).slice(1);
+        if (await writeNewFile(currentPath, serialize(schema, contentType), options)) {
+            files.push(currentPath);
+        }
+        files.push(...await materializeSchemaToPath(
+            schemaDirectory, _.cloneDeep(schema), repositoryOptions
+        ));
+    }
+
+    if (options.shouldInstallGitHook) {
+        let gitRoot;
+        try {
+            gitRoot = await findGitRoot({ ...options, schemaBasePath: repositoryPath });
+        } catch (err) {
+            options.log.warn(
+                `${repositoryPath} is not in a git repository, not installing the pre-commit hook. ` +
+                'Run jsonschema-tools install-git-hook after git init.'
+            );
+        }
+        if (gitRoot) {
+            await installGitHook({ ...options, gitRoot });
+            files.push(path.join(gitRoot, '.git', 'hooks', 'pre-commit'));
+        }
+    }
+    return files;
+}
+
+/**
+ * Creates a new schema with title in its title directory in options.schemaBasePath,
+ * with a current schema file with version 1.0.0, and materializes it, so that it passes
+ * the schema repository structure tests before any fields are added.
+ *
+ * If from is given, the new schema is a copy of the current schema with that title
+ * (with its title and $id changed), else it is a starter object schema with only a
+ * $schema field.
+ * The $refs in options.newSchemaRefs are added to the new schema's allOf, so that it
+ * includes e.g. the repository's common fragment.
+ *
+ * @param {string} title
+ * @param {string} from title of an existing schema to copy.
+ * @param {Object} options
+ * @return {Promise<Array<string>>} paths of the created files.
+ */
+async function scaffoldSchema(title, from, options = {}) {
+    options = readConfig(options);
+    if (!title || path.isAbsolute(title) || path.normalize(title).startsWith('..')) {
+        throw new Error(`Invalid schema title ${title}, must be a relative path`);
+    }
+    const schemaDirectory = path.join(options.schemaBasePath, title);
+    const currentPath = path.join(schemaDirectory, currentFileName(options));
+    if (await fse.pathExists(currentPath)) {
+        throw new Error(`Schema ${title} already exists at ${currentPath}`);
+    }
+
+    let schema;
+    if (from) {
+        const fromSchemaInfo = _.find(findSchemasByTitle(options)[from], 'current');
+        if (!fromSchemaInfo) {
+            throw new Error(`No current schema with title ${from} found in ${options.schemaBasePath}`);
+        }
+        schema = {
+            ..._.cloneDeep(fromSchemaInfo.schema),
+            title,
+            $id: `/${title}/1.0.0`,
+        };
+    } else {
+        schema = starterSchema(title, options);
+    }
+
+    const refs = _.get(schema, 'allOf', []).map(subschema => subschema.$ref);
+    const newRefs = _.difference(options.newSchemaRefs || [], refs);
+    if (!_.isEmpty(newRefs)) {
+        schema.allOf = [...(schema.allOf || []), ...newRefs.map($ref => ({ $ref }))];
+    }
+
+    const files = [];
+    const contentType = path.extname(currentPath).slice(1);
+    if (await writeNewFile(currentPath, serialize(schema, contentType), options)) {
+        files.push(currentPath);
+    }
+    files.push(...await materializeSchemaToPath(schemaDirectory, _.cloneDeep(schema), options));
+    return files;
+}
+
+module.exports = {
+    initSchemaRepository,
+    scaffoldSchema,
+};
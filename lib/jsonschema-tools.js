@@ -3,145 +3,260 @@
 const _                     = require('lodash');
 const yaml                  = require('js-yaml');
 const path                  = require('path');
+const { fileURLToPath }     = require('url');
 const semver                = require('semver');
 const readdirSync           = require('recursive-readdir-sync');
 const fse                   = require('fs-extra');
 const pino                  = require('pino');
 const util                  = require('util');
+const crypto                = require('crypto');
 const exec                  = util.promisify(require('child_process').exec);
 const RefParser             = require('json-schema-ref-parser');
 const mergeAllOf            = require('json-schema-merge-allof');
 const jsonSchemaFaker       = require('json-schema-faker');
+const Ajv                   = require('ajv');
+const Ajv2019               = require('ajv/dist/2019');
+const Ajv2020               = require('ajv/dist/2020');
+const addFormats            = require('ajv-formats');
 const traverseSchema        = require('json-schema-traverse');
 const jsonStableStringify   = require('json-stable-stringify');
 const Promise               = require('bluebird');
+const { schemaToAvro }      = require('./avro');
+const { schemaToTypeScript } = require('./typescript');
+const {
+    hiveTableName,
+    hiveCreateTableStatement,
+    hiveAlterTableStatements
+} = require('./hive');
 
 /**
  * Default options for various functions in this library.
  * Not all functions use all options, but many use some.
+ * The options are documented in defaultOptionsDocs.
  */
 const defaultOptions = {
-    /**
-     * If true, materialize functions will symlink an extensionless versioned file
-     * to the version.contentTypes[0].  E.g. if contentTypes has 'yaml' as the first
-     * entry, then 1.0.0 -> 1.0.0.yaml.
-     */
     shouldSymlinkExtensionless: true,
-    /**
-     * If true, materialize functions will symlink a 'latest' file
-     * to the latest version.contentTypes[0].
-     */
     shouldSymlinkLatest: true,
-    /**
-     * List of content types to output when materializing versioned schema files.
-     */
     contentTypes: ['yaml', 'json'],
-    /**
-     * Name of 'current' schema file. Only these files will be considered
-     * when materializing modified or 'all' schema files.
-     * If the name does not include a file extension, it is assumed
-     * to be the first content type listed in contentTypes.
-     * E.g. current -> current.yaml, if the first entry in contentTypes
-     * is 'yaml'.
-     */
     currentName: 'current',
-    /**
-     * Field in schema from which to extract the version using semver.coerce.
-     * If the value in this field looks like a URI path, only the final
-     * basename element of the path will be used to infer the schema version.
-     */
     schemaVersionField: '$id',
-    /**
-     * Field in schema from which to extract the schema title.
-     */
     schemaTitleField: 'title',
-    /**
-     * If true, materialize functions will first dereference schemas before outputting them.
-     */
     shouldDereference: true,
-    /**
-     * Path in which (current) schemas will be looked for.
-     */
     schemaBasePath: process.cwd(),
-    /**
-     * These are the URIs that will be used when resolving schemas.
-     * If not set, the readConfig function will set this to [schemaBasePath]
-     */
     schemaBaseUris: undefined,
-    /**
-     * If true, don't actually modify anything, just log what would have been done.
-     */
     dryRun: false,
-    /**
-     * If true, only git staged current schema files will be considered by materializeModified.
-     * If false, only unstaged current schema files will be considerd by materializeModified.
-     */
     gitStaged: false,
-    /**
-     * Commit to use with git diff commands.
-     * Used to finding modified schema files in a commit.
-     */
     gitDiffCommit: 'HEAD',
-    /**
-     * If true, materializeModified will `git add` any versioned schema files it materializes.
-     */
     shouldGitAdd: true,
-    /**
-     * When finding schemas and info, if a schema's $id matches any regex here,
-     * it will not be included in results.
-     */
+    shouldMaterializeDependents: false,
     ignoreSchemas: [],
-
-    /**
-     * An object mapping schema $id regexes to a list of test case names to skip.
-     * (Currently this only works with schema robustness and compatibility test cases.)
-     * E.g.
-     * {
-     *   // skip checking for snake_case properties in all schemas
-     *   // where $id matches /legacy/*
-     *  '/legacy/*': ['schema-snake-case-properties'],
-     *  '/legacy/1.1.0': ['schema-version-compatibility'],
-     * }
-     */
     skipSchemaTestCases: {},
-
+    robustnessRules: [],
+    lintRules: [],
+    lintIgnoreRules: [],
+    shouldFixLint: false,
+    compatibilityMode: 'backward',
+    schemaCacheTtl: 600,
+    schemaCacheDir: undefined,
+    schemaCacheOffline: false,
+    eventValidatorCacheSize: 100,
+    serverIndexTtl: 5,
+    defaultSchemaDraft: 'draft-07',
     /**
      * Pino logger.
      */
     log: pino({ level: 'warn', prettyPrint: { translateTime: true, ignore: 'pid,hostname,level' }, }),
-    /**
-     * special case option to ease setting log level to
-     * debug from CLI (where pino is not easily configurable).
-     * Pino's log.level will be set to this by the readConfig function.
-     */
     logLevel: 'warn',
-    /**
-     * Array of default config files from which custom
-     * options will be read by readConfig.
-     * The keys in these config files are the same as these defaultOptions keys.
-     */
     configPaths: ['./.jsonschema-tools.yaml'],
-    /**
-     * Check the existing numeric bounds for a number field, and enforce a number type.
-     * For more flexibility and clarity, number types are expressed here as an array of
-     * the minimum and maximum numbers allowed.
-     * The tool will add inclusive `minimum` and `maximum` properties if they aren't
-     * present, and will modify their value if they outside the configured bounds.
-     */
     enforcedNumericBounds: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
-
-    /**
-     * If true an example will be generated during schema materialization.
-     * Examples already present in the schema will be preserved. E.g. If the
-     * schema already has examples, and shouldGenerateExample is true,
-     * no new example will be generated.
-     */
     shouldGenerateExample: false,
-
-    /**
-     * Command to use when running and printing a diff between schema versions.
-     */
     diffCommand: 'diff --unified=0',
+    shouldWriteVersion: false,
+    enforceCompatibilityOnMaterialize: false,
+    forceOverwrite: false,
+    shouldGenerateAvroSchema: false,
+    shouldGenerateTypeScript: false,
+    newSchemaRefs: [],
+};
+
+/**
+ * Documentation of defaultOptions, as lists of lines by option name.
+ * This is the only documentation of the options: the config files written by
+ * initSchemaRepository, and the config file options in README.md, are generated from it.
+ */
+const defaultOptionsDocs = {
+    shouldSymlinkExtensionless: [
+        'If true, materialize functions will symlink an extensionless versioned file',
+        'to the version.contentTypes[0].  E.g. if contentTypes has \'yaml\' as the first',
+        'entry, then 1.0.0 -> 1.0.0.yaml.',
+    ],
+    shouldSymlinkLatest: [
+        'If true, materialize functions will symlink a \'latest\' file',
+        'to the latest version.contentTypes[0].',
+    ],
+    contentTypes: [
+        'List of content types to output when materializing versioned schema files.',
+    ],
+    currentName: [
+        'Name of \'current\' schema file. Only these files will be considered',
+        'when materializing modified or \'all\' schema files.',
+        'If the name does not include a file extension, it is assumed',
+        'to be the first content type listed in contentTypes.',
+        'E.g. current -> current.yaml, if the first entry in contentTypes',
+        'is \'yaml\'.',
+    ],
+    schemaVersionField: [
+        'Field in schema from which to extract the version using semver.coerce.',
+    ],
+    schemaTitleField: [
+        'Field in schema from which to extract the schema title.',
+    ],
+    shouldDereference: [
+        'If true, materialize functions will first dereference schemas before outputting them.',
+    ],
+    schemaBasePath: [
+        'Path in which (current) schemas will be looked for.',
+        'Default process.cwd()',
+    ],
+    schemaBaseUris: [
+        'These are the URIs that will be used when resolving schemas.',
+        'If not set, the readConfig function will set this to [schemaBasePath]',
+    ],
+    dryRun: [
+        'If true, don\'t actually modify anything, just log what would have been done.',
+    ],
+    gitStaged: [
+        'If true, only Git-staged current schema files will be considered by materializeModified.',
+        'If false, only unstaged current schema files will be considerd by materializeModified.',
+    ],
+    gitDiffCommit: [
+        'Commit to use with git diff commands, e.g. when finding modified schema files.',
+    ],
+    shouldGitAdd: [
+        'If true, materializeModified will `git add` any versioned schema files it materializes.',
+    ],
+    shouldMaterializeDependents: [
+        'If true, materializeModified will also materialize every current schema that',
+        '(transitively) $refs a modified schema.  If false, these schemas are only logged.',
+        'If a dependent\'s materialized version has already been published (committed to git)',
+        'and would change, its version is bumped instead, in its current schema file too.',
+    ],
+    ignoreSchemas: [
+        'When finding schemas and info, if a schema\'s $id matches any regex here,',
+        'it will not be included in results.',
+    ],
+    skipSchemaTestCases: [
+        'An object mapping schema $id regexes to a list of test case names to skip.',
+        '(Currently this only works with schema robustness and compatibility test cases.)',
+        'E.g. { \'/legacy/.*\': [\'schema-snake-case-properties\'] }',
+    ],
+    robustnessRules: [
+        'Paths of modules with custom robustness test cases (rules) to run in addition to the',
+        'built-in ones.  Relative paths are resolved from the current working directory.',
+        'See the Robustness section of the jsonschema-tools README.',
+    ],
+    lintRules: [
+        'Names of the robustness rules that `jsonschema-tools lint` checks.  If empty, all rules',
+        'are checked.  Also available as the --rule CLI option.',
+    ],
+    lintIgnoreRules: [
+        'Names of the robustness rules that `jsonschema-tools lint` does not check.',
+        'Also available as the --ignore-rule CLI option.',
+    ],
+    shouldFixLint: [
+        'If true, `jsonschema-tools lint` rewrites current schema files with fixes from rules',
+        'that can repair them.  Also available as the --fix CLI option.',
+    ],
+    compatibilityMode: [
+        'Compatibility mode used when checking that a new schema version is compatible',
+        'with the previous version in the same major version. One of:',
+        '- backward: the new schema may only add non-required fields and enum values.',
+        '- forward: the new schema may only remove non-required fields and enum values.',
+        '- full: both backward and forward.',
+        '- none: compatibility is not checked.',
+        'This may also be an object mapping schema $id regexes to compatibility modes,',
+        'e.g. { \'/legacy/.*\': none }.  See the Compatibility section of the',
+        'jsonschema-tools README.',
+    ],
+    schemaCacheTtl: [
+        'Number of seconds for which schemas resolved from http schemaBaseUris will be',
+        'cached and reused, instead of being fetched again.  0 disables caching.',
+    ],
+    schemaCacheDir: [
+        'If set, schemas resolved from http schemaBaseUris will also be cached in this',
+        'directory, in files named by the hash of their resolved URL, so that the cache',
+        'can be reused between runs.',
+    ],
+    schemaCacheOffline: [
+        'If true, schemas will never be fetched from http schemaBaseUris, and will only',
+        'be resolved from the cache (ignoring schemaCacheTtl).  Use with schemaCacheDir for',
+        'fast and reproducible builds.  Also available as the --offline CLI option.',
+    ],
+    eventValidatorCacheSize: [
+        'Maximum number of compiled schemas an event validator (createEventValidator)',
+        'keeps cached.  When more schemas are used, the least recently used one is evicted.',
+    ],
+    serverIndexTtl: [
+        'Number of seconds for which the schema server (jsonschema-tools serve) serves from its',
+        'index of materialized schemas, before looking them up again in schemaBasePath.',
+        '0 looks them up on every request.  Also available as the --index-ttl CLI option.',
+    ],
+    defaultSchemaDraft: [
+        'JSONSchema draft used for schemas whose $schema does not name a known draft.',
+        'One of draft-07, 2019-09 or 2020-12.',
+    ],
+    logLevel: [
+        'special case option to ease setting log level to',
+        'debug from CLI (where pino is not easily configurable).',
+        'Pino\'s log.level will be set to this by the readConfig function.',
+    ],
+    configPaths: [
+        'Array of default config files from which custom',
+        'options will be read by readConfig.',
+        'The keys in these config files are the same as these defaultOptions keys.',
+    ],
+    enforcedNumericBounds: [
+        'Check the existing numeric bounds for a number and integer field, and enforce bounds.',
+        'The tool will add inclusive `minimum` and `maximum` properties if they aren\'t',
+        'present.  Repository tests will ensure all numeric fields have maximum and minimums,',
+        'that they are at least within these bounds.',
+    ],
+    enforceCompatibilityOnMaterialize: [
+        'If true, materialize functions will refuse to materialize a schema version',
+        'that is not compatible (according to compatibilityMode) with the previous',
+        'materialized version with the same major version.',
+    ],
+    forceOverwrite: [
+        'If true, materialize functions will overwrite versioned schema files',
+        'that have already been committed to git with different content.',
+    ],
+    diffCommand: [
+        'Command to use when running and printing a diff between schema versions.',
+    ],
+    shouldWriteVersion: [
+        'If true, suggestSchemaVersion will rewrite the version in schemaVersionField',
+        'of the current schema file to the suggested version, if it is lower.',
+    ],
+    shouldGenerateExample: [
+        'If true an example will be generated during schema materialization.',
+        'Examples already present in the schema will be preserved. E.g. if the',
+        'schema already has examples, and shouldGenerateExample is true,',
+        'no new example will be generated.',
+    ],
+    shouldGenerateAvroSchema: [
+        'If true, an Avro schema file (X.Y.Z.avsc) will be generated from the materialized',
+        'schema during schema materialization.  Materialization will fail if the schema',
+        'contains constructs that cannot be converted to Avro.',
+    ],
+    shouldGenerateTypeScript: [
+        'If true, TypeScript type definitions (X.Y.Z.d.ts) will be generated from the',
+        'materialized schema during schema materialization.  If shouldSymlinkLatest,',
+        'a latest.d.ts symlink will point at the latest version\'s type definitions.',
+    ],
+    newSchemaRefs: [
+        '$refs of schema fragments that new schemas created by scaffoldSchema will allOf,',
+        'e.g. [\'/fragment/common/1.0.0\'].',
+    ],
 };
 
 /**
@@ -163,12 +278,28 @@ const jsonSchemaFakerOptions = {
     random: () => 0.15
 };
 
+/**
+ * json-schema-faker format generators, which always generate the same valid values.
+ */
+const jsonSchemaFakerFormats = {
+    // Always generate a valid static example url for any field that uses uri-reference.
+    'uri-reference': () => 'http://example.org',
+    // Always generate a valid static date-time
+    'date-time': () => '2021-01-01T00:00:00.000Z',
+};
+
+/**
+ * Makes json-schema-faker generate values of the formats in the formats map with
+ * the format's generator function.
+ * @param {Object} formats
+ */
+function setFakerFormats(formats) {
+    _.forEach(formats, (generate, format) => jsonSchemaFaker.format(format, generate));
+}
+
 // configure our jsonSchemaFaker to generate deterministic examples.
 jsonSchemaFaker.option(jsonSchemaFakerOptions);
-// Always generate a valid static example url for any field that uses uri-reference.
-jsonSchemaFaker.format('uri-reference', () => 'http://example.org');
-// Always generate a valid static date-time
-jsonSchemaFaker.format('date-time', () => '2021-01-01T00:00:00.000Z');
+setFakerFormats(jsonSchemaFakerFormats);
 
 /**
  * When serializing YAML, schema keys will be sorted in this order.
@@ -241,13 +372,35 @@ function serialize(object, contentType = 'yaml') {
     return serializers[contentType](object);
 }
 
+/**
+ * Source file path and text of objects read by readObject and readObjectSync, so that the
+ * positions of their nodes can be found later (see schemaSourceLocation).
+ * The positions are only parsed from the text when first needed.
+ */
+const objectSources = new WeakMap();
+
+/**
+ * Parses yaml (or json) text read from file, and remembers its source in objectSources.
+ * @param {string} text
+ * @param {string|int} file
+ * @return {Object}
+ */
+function parseObject(text, file) {
+    const object = yaml.safeLoad(text, { filename: file });
+    if (_.isString(file) && _.isObject(object)) {
+        objectSources.set(object, { file, text });
+    }
+    return object;
+}
+
 /**
  * Reads in a yaml or json file from file
+ * The YAML source positions of the object's nodes are kept, see schemaSourceLocation.
  * @param {string|int} file string path or int file descriptor to read
  * @return {Promise<Object>} read and parsed object
  */
 async function readObject(file) {
-    return yaml.safeLoad(await fse.readFile(file, 'utf-8'), { filename: file });
+    return parseObject(await fse.readFile(file, 'utf-8'), file);
 }
 
 /**
@@ -256,7 +409,116 @@ async function readObject(file) {
  * @return {Object}
  */
 function readObjectSync(file) {
-    return yaml.safeLoad(fse.readFileSync(file, 'utf-8'), { filename: file });
+    return parseObject(fse.readFileSync(file, 'utf-8'), file);
+}
+
+/**
+ * Composes yaml (or json) text into a tree of its nodes, as
+ * { kind, result, offset, end, children }.  offset and end delimit the text each node was
+ * composed from, which may include the whitespace and comments around it.
+ * The children of mappings are their keys and values, alternately.
+ * @param {string} text
+ * @return {Object|undefined} the root node, undefined if text is empty.
+ */
+function yamlNodeTree(text) {
+    // js-yaml's listener is called when it starts ('open') and finishes ('close') composing
+    // each node, including mapping keys, so the nodes can be collected as a tree.
+    const document = { children: [] };
+    const stack = [document];
+    yaml.safeLoad(text, {
+        listener: (event, state) => {
+            if (event === 'open') {
+                const node = { offset: state.position, children: [] };
+                _.last(stack).children.push(node);
+                stack.push(node);
+            } else {
+                const node = stack.pop();
+                const parent = _.last(stack);
+                // Flow collections and sequence items are composed within another node
+                // with the same result, only keep the inner one.
+                if (node.children.length === 1 && node.children[0].result === state.result) {
+                    parent.children[parent.children.length - 1] = node.children[0];
+                } else {
+                    node.kind = state.kind;
+                    node.result = state.result;
+                    node.end = state.position;
+                }
+            }
+        },
+    });
+    return document.children[0];
+}
+
+/**
+ * Returns the 1-based { line, column } of every node in yaml (or json) text,
+ * keyed by JSON pointer.  Object properties are positioned at their key.
+ * @param {string} text
+ * @return {Object}
+ */
+function yamlSourcePositions(text) {
+    const lineOffsets = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        lineOffsets.push(i + 1);
+    }
+    // Nodes may be opened before the whitespace and comments that precede them.
+    const leadingSpaceRegex = /(?:\s|#[^\n]*)*/y;
+    function linePosition(offset) {
+        leadingSpaceRegex.lastIndex = offset;
+        leadingSpaceRegex.exec(text);
+        const start = leadingSpaceRegex.lastIndex;
+        const line = _.sortedLastIndex(lineOffsets, start);
+        return { line, column: start - lineOffsets[line - 1] + 1 };
+    }
+
+    const positions = {};
+    function addPositions(node, pointer, offset) {
+        positions[pointer] = linePosition(offset);
+        if (node.kind === 'mapping') {
+            _.chunk(node.children, 2).forEach(([keyNode, valueNode]) => {
+                if (valueNode) {
+                    const key = String(keyNode.result);
+                    const keyPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                    addPositions(valueNode, keyPointer, keyNode.offset);
+                }
+            });
+        } else if (node.kind === 'sequence') {
+            node.children.forEach((item, i) => addPositions(item, `${pointer}/${i}`, item.offset));
+        }
+    }
+
+    const root = yamlNodeTree(text);
+    if (root) {
+        addPositions(root, '', root.offset);
+    }
+    return positions;
+}
+
+/**
+ * Returns the source position { file, line, column } of the node at the JSON pointer in
+ * object, if object was read by readObject or readObjectSync and has a node at pointer.
+ * @param {Object} object
+ * @param {string} pointer
+ * @return {Object|undefined}
+ */
+function objectSourcePosition(object, pointer) {
+    const source = objectSources.get(object);
+    if (!source) {
+        return undefined;
+    }
+    source.positions = source.positions || yamlSourcePositions(source.text);
+    const position = source.positions[pointer];
+    return position && { file: source.file, ...position };
+}
+
+/**
+ * Formats a source location as file:line:column, or just file if line is not known.
+ * @param {Object} location as returned by schemaSourceLocation
+ * @return {string}
+ */
+function formatSourceLocation(location) {
+    return _.isUndefined(location.line) ?
+        location.file :
+        `${location.file}:${location.line}:${location.column}`;
 }
 
 /**
@@ -438,6 +700,154 @@ function resolveUri(uri, baseUri) {
     return url;
 }
 
+/**
+ * Returns the source of a $ref'd schema URI, resolved with options.schemaBaseUris like
+ * when dereferencing: { schema } read from a local file, or { file: url } if it
+ * would be resolved from a remote URL.
+ * @param {string} refUri
+ * @param {Object} options
+ * @return {Object|undefined}
+ */
+function refSource(refUri, options) {
+    const schemaBaseUris = options.schemaBaseUris ||
+        [options.schemaBasePath || defaultOptions.schemaBasePath];
+    for (const baseUri of schemaBaseUris) {
+        const url = resolveUri(refUri, baseUri);
+        if (!url.startsWith('file:')) {
+            return { file: url };
+        }
+        const filePath = fileURLToPath(url);
+        if (fse.existsSync(filePath)) {
+            // Versioned schemas are $ref'd by their extensionless symlinks,
+            // so read their real files to name those.
+            return { schema: readObjectSync(fse.realpathSync(filePath)) };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Like schemaSourceLocation, but only if the node at pointer exists in a source file.
+ * @param {Object} schema
+ * @param {string} pointer
+ * @param {Object} options
+ * @return {Object|undefined}
+ */
+function exactSchemaSourceLocation(schema, pointer, options) {
+    const position = objectSourcePosition(schema, pointer);
+    if (position) {
+        return position;
+    }
+
+    const refs = [];
+    const traverseOptions = { allKeys: true };
+    traverseSchema(schema, traverseOptions, (node, jsonPtr, root, parentJsonPtr, parentKeyword) => {
+        if (_.isString(node.$ref) && node.$ref !== '#') {
+            // allOf schemas are merged into the schema that has the allOf.
+            const dereferencedPointer = parentKeyword === 'allOf' ? parentJsonPtr : jsonPtr;
+            refs.push({ ref: node.$ref, dereferencedPointer });
+        }
+    });
+
+    for (const { ref, dereferencedPointer } of refs) {
+        if (pointer === dereferencedPointer || pointer.startsWith(`${dereferencedPointer}/`)) {
+            const [refUri, refPointer = ''] = ref.split('#');
+            const source = refUri === '' ? { schema } : refSource(refUri, options);
+            if (source && source.schema) {
+                const location = exactSchemaSourceLocation(
+                    source.schema, refPointer + pointer.slice(dereferencedPointer.length), options
+                );
+                if (location) {
+                    return location;
+                }
+            } else if (source) {
+                return source;
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Returns the source location { file, line, column } of the node at the JSON pointer in the
+ * dereferenced version of schema, e.g. to point errors about a dereferenced schema to the
+ * file the author edited.  schema must have been read with readObject (or readObjectSync),
+ * and must not be dereferenced itself.  Nodes that come from a $ref'd schema, e.g. an
+ * allOf'd fragment, are located in that schema's file (resolved with options.schemaBaseUris).
+ * If the node doesn't exist in any source file (e.g. the property was removed),
+ * its closest ancestor that does is located.
+ * line and column are undefined if the node comes from a remote (http) schema.
+ * @param {Object} schema
+ * @param {string} pointer
+ * @param {Object} options
+ * @return {Object|undefined} undefined if schema was not read from a file.
+ */
+function schemaSourceLocation(schema, pointer, options = {}) {
+    options = readConfig(options);
+    const segments = pointer.split('/');
+    for (let i = segments.length; i > 0; i--) {
+        const location = exactSchemaSourceLocation(schema, segments.slice(0, i).join('/'), options);
+        if (location) {
+            return location;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * In-process cache of schemas resolved from http URLs, keyed by resolved URL.
+ * Values are objects like { content, cachedAt }, where cachedAt is a ms timestamp.
+ */
+const remoteSchemaCache = new Map();
+
+/**
+ * Reads a remote schema file with httpResolver, caching its content in remoteSchemaCache
+ * and, if options.schemaCacheDir is set, in a file named by the hash of its URL.
+ * Cached content is used if it is not older than options.schemaCacheTtl seconds.
+ * If options.schemaCacheOffline, only cached content is used, no matter how old it is.
+ * @param {Object} file json-schema-ref-parser file object with a resolved url.
+ * @param {Object} httpResolver json-schema-ref-parser http resolver
+ * @param {Object} options
+ * @return {Promise<Object>} { content, cache }, where content is the schema file content
+ *                           and cache is 'memory' or 'disk' if it was read from a cache.
+ */
+async function readRemoteSchema(file, httpResolver, options = {}) {
+    options = readConfig(options);
+    const log = options.log || defaultOptions.log;
+    const ttl = _.get(options, 'schemaCacheTtl', defaultOptions.schemaCacheTtl) * 1000;
+    const isFresh = cachedAt => options.schemaCacheOffline || Date.now() - cachedAt < ttl;
+
+    const cached = remoteSchemaCache.get(file.url);
+    if (cached && isFresh(cached.cachedAt)) {
+        log.debug(`Using cached schema for ${file.url}`);
+        return { content: cached.content, cache: 'memory' };
+    }
+
+    const cacheFilePath = options.schemaCacheDir && path.join(
+        options.schemaCacheDir, crypto.createHash('sha256').update(file.url).digest('hex')
+    );
+    if (cacheFilePath && await fse.pathExists(cacheFilePath)) {
+        const cachedAt = (await fse.stat(cacheFilePath)).mtimeMs;
+        if (isFresh(cachedAt)) {
+            log.debug(`Using schema for ${file.url} cached in ${cacheFilePath}`);
+            const content = await fse.readFile(cacheFilePath);
+            remoteSchemaCache.set(file.url, { content, cachedAt });
+            return { content, cache: 'disk' };
+        }
+    }
+
+    if (options.schemaCacheOffline) {
+        throw new Error(`${file.url} is not in the schema cache and cannot be fetched while offline`);
+    }
+
+    const content = await httpResolver.read(file);
+    remoteSchemaCache.set(file.url, { content, cachedAt: Date.now() });
+    if (cacheFilePath) {
+        await fse.outputFile(cacheFilePath, content);
+    }
+    return { content, cache: null };
+}
+
 /**
  * Create a schema resolver wrapper for both file and http.
  * We want to be able to prefix any $ref URI in a schema with
@@ -471,21 +881,48 @@ function resolveUri(uri, baseUri) {
  *  }
  *  dereferencedSchema = RefParser.dereference('/the/best/schema/1.0.0', refParserOptions);
  *
+ * Schemas resolved from http URLs are cached, see readRemoteSchema.
+ *
+ * Every read is recorded (and logged at info level) in the returned
+ * object's resolutions array, as objects like:
+ * {
+ *  ref: '/common/1.0.0',              // the $ref URI that was read
+ *  url: 'file:///path/common/1.0.0',  // the URL it was resolved from, or null
+ *  cache: 'memory',                   // if read from the remote schema cache
+ *  failures: [                        // base URIs that were tried first and failed
+ *      { url: 'http://remote/common/1.0.0', error: 'HTTP ERROR 404' }
+ *  ]
+ * }
+ *
+ * If options.pendingSchemaFiles is a Map of absolute file paths to file content,
+ * files in it are read from there instead of from the filesystem.  This is used to
+ * dereference schemas that $ref schemas that are about to be (but not yet) materialized.
+ *
  * @param {Array<string>} schemaBaseUris
+ * @param {Object} options
  * @return {Object}
  */
-function createSchemaResolver(schemaBaseUris) {
+function createSchemaResolver(schemaBaseUris, options = {}) {
     // We will use the built in resolvers for file and http once
     // we transform the $ref URI prefixed with the schemaBaseUris.
     const fileResolver = require('json-schema-ref-parser/lib/resolvers/file');
     const httpResolver = require('json-schema-ref-parser/lib/resolvers/http');
+    const { toFileSystemPath } = require('json-schema-ref-parser/lib/util/url');
+    const pendingSchemaFiles = options.pendingSchemaFiles || new Map();
+    const log = options.log || defaultOptions.log;
+    const resolutions = [];
 
     return {
+        resolutions,
+
         canRead(file) {
             return fileResolver.canRead(file) || httpResolver.canRead(file);
         },
 
         async read(file) {
+            const resolution = { ref: file.url, url: null, failures: [] };
+            resolutions.push(resolution);
+
             const files = _.map(schemaBaseUris, (baseUri) => {
                 const f = _.clone(file);
                 f.url = resolveUri(file.url, baseUri);
@@ -495,21 +932,62 @@ function createSchemaResolver(schemaBaseUris) {
             // keeping only the first url to succeed.
             return files.reduce((promise, f) => {
                 return promise.catch(async () => {
-                    if (fileResolver.canRead(f)) {
-                        return await fileResolver.read(f);
-                    } else if (httpResolver.canRead(f)) {
-                        return await httpResolver.read(f);
-                    } else {
-                        throw new Error('Should not get here');
+                    try {
+                        let content;
+                        const filePath = fileResolver.canRead(f) ?
+                            path.resolve(toFileSystemPath(f.url)) : null;
+                        if (pendingSchemaFiles.has(filePath)) {
+                            content = Buffer.from(pendingSchemaFiles.get(filePath));
+                        } else if (fileResolver.canRead(f)) {
+                            content = await fileResolver.read(f);
+                        } else if (httpResolver.canRead(f)) {
+                            const remoteSchema = await readRemoteSchema(f, httpResolver, options);
+                            content = remoteSchema.content;
+                            if (remoteSchema.cache) {
+                                resolution.cache = remoteSchema.cache;
+                            }
+                        } else {
+                            throw new Error('Should not get here');
+                        }
+                        resolution.url = f.url;
+                        return content;
+                    } catch (err) {
+                        log.info(`Failed resolving $ref ${file.url} from ${f.url}: ${err.message}`);
+                        resolution.failures.push({ url: f.url, error: err.message });
+                        throw err;
                     }
                 });
             // seed the chain with a rejected promise.
             // This is only used to start the fold, it should never be thrown up.
-            }, Promise.reject());
+            }, Promise.reject()).then((content) => {
+                const cache = resolution.cache ? ` (from ${resolution.cache} cache)` : '';
+                log.info(`Resolved $ref ${file.url} from ${resolution.url}${cache}`);
+                return content;
+            });
         }
     };
 }
 
+/**
+ * Returns a human readable report of the $ref resolutions recorded by a schema resolver,
+ * one line per $ref followed by a line per base URI that failed to resolve it.
+ * @param {Array<Object>} resolutions as in createSchemaResolver().resolutions
+ * @return {string}
+ */
+function formatRefResolutions(resolutions) {
+    return resolutions.map((resolution) => {
+        const cache = resolution.cache ? ` (from ${resolution.cache} cache)` : '';
+        const resolved = resolution.url ?
+            `$ref ${resolution.ref} resolved from ${resolution.url}${cache}` :
+            `$ref ${resolution.ref} could not be resolved`;
+        return [resolved].concat(
+            resolution.failures.map(
+                failure => `  failed ${failure.url}: ${failure.error.replace(/\s+/g, ' ').trim()}`
+            )
+        ).join('\n');
+    }).join('\n');
+}
+
 /**
  * Uses options.schemaBaseUris to resolve a schema $id URI
  * and return the first schema found.
@@ -519,7 +997,7 @@ function createSchemaResolver(schemaBaseUris) {
  */
 async function getSchemaById(schemaId, options) {
     options = readConfig(options);
-    const schemaResolver = createSchemaResolver(options.schemaBaseUris);
+    const schemaResolver = createSchemaResolver(options.schemaBaseUris, options);
     return yaml.safeLoad(await schemaResolver.read({ url: schemaId }), { file: schemaId });
 }
 
@@ -612,6 +1090,92 @@ async function gitAdd(paths, options = {}) {
     return execCommand(command, { cwd: options.schemaBasePath }, options.log);
 }
 
+/**
+ * Runs git command in cwd, with git's messages in English, so that
+ * isNothingCommittedError can recognize its errors.
+ * @param {string} command
+ * @param {string} cwd
+ * @param {Object} options
+ * @return {Promise} result child_process#exec
+ */
+function execGitCommand(command, cwd, options) {
+    return execCommand(command, { cwd, env: _.assign({}, process.env, { LC_ALL: 'C' }) }, options.log);
+}
+
+/**
+ * Returns true if err is the error git fails with when nothing has been
+ * committed at a path: the path is not in the commit, HEAD has no commits
+ * yet, or the path is not in a git repository at all.  Any other error
+ * (e.g. git is not installed, or commit does not exist) is a real failure.
+ * @param {Error} err error of execGitCommand
+ * @return {boolean}
+ */
+function isNothingCommittedError(err) {
+    return /^fatal: (path '.*' (does not exist|exists on disk, but not) in '|invalid object name 'HEAD'|not a git repository|your current branch '.*' does not have any commits yet)/m
+        .test(err.stderr);
+}
+
+/**
+ * Returns the content of filePath as it is in the git commit, or null
+ * if filePath is not in that commit, or is not in a git repository.
+ * Any other git error is thrown.
+ * @param {string} filePath
+ * @param {string} commit
+ * @param {Object} options
+ * @return {Promise<string|null>}
+ */
+async function gitFileContent(filePath, commit = 'HEAD', options = {}) {
+    options = readConfig(options);
+    // Run git in the file's directory so it finds the file's git repository,
+    // and use a ./ relative path so we don't need to know the git root.
+    const command = `git show ${commit}:./${path.basename(filePath)}`;
+    try {
+        return (await execGitCommand(command, path.dirname(filePath), options)).stdout;
+    } catch (err) {
+        if (isNothingCommittedError(err)) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Finds the git commits that first added each file in options.schemaBasePath,
+ * with a single git log, so that checking many files does not run git for each.
+ * Returns an object mapping absolute file paths to commit hashes.  Files that have
+ * never been committed, or are not in a git repository, are not in the result.
+ * @param {Object} options
+ * @return {Promise<Object>}
+ */
+async function gitFirstCommits(options = {}) {
+    options = readConfig(options);
+    // Each commit is prefixed with a NUL, which can not be in a file name.
+    const command = 'git -c core.quotePath=false log --format=%x00%H --diff-filter=A ' +
+        '--name-only --relative -- .';
+    let stdout;
+    try {
+        stdout = (await execGitCommand(command, options.schemaBasePath, options)).stdout;
+    } catch (err) {
+        if (isNothingCommittedError(err)) {
+            return {};
+        }
+        throw err;
+    }
+
+    const firstCommits = {};
+    let commit;
+    stdout.split('\n').filter(line => !_.isEmpty(line)).forEach((line) => {
+        if (line.startsWith('\0')) {
+            commit = line.substring(1);
+        } else {
+            // git log lists the most recent commits first, so the
+            // last commit that added a file is the first one.
+            firstCommits[path.resolve(options.schemaBasePath, line)] = commit;
+        }
+    });
+    return firstCommits;
+}
+
 /**
  * Uses git to find all schema file paths that have been modified.
  * If options.gitStaged, this will look for
@@ -700,17 +1264,59 @@ function schemaPathToInfo(schemaPath, options = {}) {
     };
 }
 
+/**
+ * Merges objects of schemas keyed by name (e.g. $defs) from allOf schemas with
+ * json-schema-merge-allof.  Schemas with the same name are merged.
+ * @param {Array<Object>} values
+ * @param {Array<string>} paths
+ * @param {Function} mergeSchemas
+ * @return {Object}
+ */
+function mergeSchemaMaps(values, paths, mergeSchemas) {
+    return _.fromPairs(_.union(...values.map(_.keys)).map(
+        name => [name, mergeSchemas(values.map(value => value[name]))]
+    ));
+}
+
+/**
+ * json-schema-merge-allof resolvers used when merging allOf schemas.
+ * json-schema-merge-allof only knows draft-07 keywords, so this also has resolvers for
+ * the 2019-09 and 2020-12 keywords that contain schemas or constrain other keywords.
+ * Resolvers are called with the distinct values of the keyword in the allOf schemas.
+ */
+const mergeAllOfResolvers = {
+    // Use json-schema-merge-allof meta keyword (e.g. title)
+    // resolver for JSONSchema examples.
+    // This ends up just keeping the first examples value,
+    // prioritizing the root schema.
+    // See: https://github.com/mokkabonna/json-schema-merge-allof#lossy-vs-lossless
+    examples: mergeAllOf.options.resolvers.title,
+    $defs: mergeSchemaMaps,
+    dependentSchemas: mergeSchemaMaps,
+    // A property requires the dependent properties required by any of the schemas.
+    dependentRequired: values => _.mergeWith({}, ...values, (a, b) => _.union(a, b)),
+    unevaluatedProperties: (values, paths, mergeSchemas) => mergeSchemas(values),
+    unevaluatedItems: (values, paths, mergeSchemas) => mergeSchemas(values),
+    // Items must validate against the schemas at their position in every prefixItems.
+    prefixItems: (values, paths, mergeSchemas) => _.range(_.max(values.map(v => v.length))).map(
+        i => mergeSchemas(values.map(value => value[i]))
+    ),
+};
+
 /**
  * Uses the options.schemaBaseUris to create http and file schema resolvers
  * that prefix schema URIs in $refs with with the base URIs.  These
  * resolved URLs are then dereferenced in place.
+ * Returns the dereferenced schema along with a report of where each $ref
+ * was resolved from, and which base URIs failed to resolve it.
  * @param {Object} schema
  * @param {Object} options
- * @return {Promise<Object>} dereferenced schema
+ * @return {Promise<Object>} { schema, refResolutions }, where refResolutions is
+ *                           as described in createSchemaResolver.
  */
-async function dereferenceSchema(schema, options = {}) {
+async function dereferenceSchemaWithReport(schema, options = {}) {
     options = readConfig(options);
-    const schemaResolver = createSchemaResolver(options.schemaBaseUris);
+    const schemaResolver = createSchemaResolver(options.schemaBaseUris, options);
 
     options.log.info(
         `Dereferencing schema with $id ${schema.$id} using schema base URIs ${options.schemaBaseUris}`
@@ -742,14 +1348,8 @@ async function dereferenceSchema(schema, options = {}) {
             );
             const mergedSchema = mergeAllOf(dereferencedSchema, {
                 ignoreAdditionalProperties: true,
-                resolvers: {
-                    // Use json-schema-merge-allof meta keyword (e.g. title)
-                    // resolver for JSONSchema examples.
-                    // This ends up just keeping the first examples value,
-                    // prioritizing the root schema.
-                    // See: https://github.com/mokkabonna/json-schema-merge-allof#lossy-vs-lossless
-                    examples: mergeAllOf.options.resolvers.title
-                }
+                // json-schema-merge-allof adds its default resolvers to these, so copy them.
+                resolvers: { ...mergeAllOfResolvers }
             });
 
             // If the incoming schema didn't have examples,
@@ -759,7 +1359,7 @@ async function dereferenceSchema(schema, options = {}) {
                 delete mergedSchema.examples;
             }
 
-            return mergedSchema;
+            return { schema: mergedSchema, refResolutions: schemaResolver.resolutions };
         })
         .catch((err) => {
             options.log.error(err, `Failed dereferencing schema with $id ${schema.$id}`, schema);
@@ -768,6 +1368,19 @@ async function dereferenceSchema(schema, options = {}) {
 }
 
 
+/**
+ * Uses the options.schemaBaseUris to create http and file schema resolvers
+ * that prefix schema URIs in $refs with with the base URIs.  These
+ * resolved URLs are then dereferenced in place.
+ * @param {Object} schema
+ * @param {Object} options
+ * @return {Promise<Object>} dereferenced schema
+ */
+async function dereferenceSchema(schema, options = {}) {
+    return (await dereferenceSchemaWithReport(schema, options)).schema;
+}
+
+
 /**
  * If the schema doesn't already have an example,
  * generate one and add it to the schema examples.
@@ -797,27 +1410,356 @@ function generateSchemaExample(schema, options) {
 
 
 /**
- * Traverses through all the fields in the schema, including nested properties, and
- * sets the numeric bounds specified in options when the object type is number.
+ * Map of supported JSONSchema drafts to the Ajv class that implements them.
+ */
+const schemaDraftAjvClasses = {
+    'draft-07': Ajv,
+    '2019-09': Ajv2019,
+    '2020-12': Ajv2020,
+};
+
+/**
+ * Returns the JSONSchema draft of schema, as identified by its $schema field,
+ * e.g. https://json-schema.org/draft/2020-12/schema -> 2020-12.
+ * If $schema does not identify a supported draft, options.defaultSchemaDraft is returned.
  * @param {Object} schema
- * @param {Array} bounds as specified in options
- * @return {Object} schema with bounded numeric fields
+ * @param {Object} options
+ * @return {string} one of draft-07, 2019-09 or 2020-12.
  */
-function enforceNumericBounds(schema, bounds) {
-    const schemaCopy = _.cloneDeep(schema);
-    const enforcedMin = bounds[0];
-    const enforcedMax = bounds[1];
-    traverseSchema(schemaCopy, (obj) => {
-        if (['number', 'integer'].includes(obj.type)) {
-            obj.minimum = _.isUndefined(obj.minimum) ? enforcedMin : obj.minimum;
-            obj.maximum = _.isUndefined(obj.maximum) ? enforcedMax : obj.maximum;
-        }
+function schemaDraft(schema, options = {}) {
+    options = readConfig(options);
+    const match = String(_.get(schema, '$schema', '')).match(/draft-07|draft\/(2019-09|2020-12)/);
+    if (match) {
+        return match[1] || match[0];
+    }
 
-    });
-    return schemaCopy;
+    const draft = options.defaultSchemaDraft || defaultOptions.defaultSchemaDraft;
+    if (!_.has(schemaDraftAjvClasses, draft)) {
+        throw new Error(
+            `Invalid defaultSchemaDraft ${draft}. ` +
+            `defaultSchemaDraft must be one of ${_.keys(schemaDraftAjvClasses).join(',')}`
+        );
+    }
+    return draft;
 }
 
-
+/**
+ * Returns a new Ajv instance that validates schemas of draft (see schemaDraft).
+ * @param {string} draft
+ * @return {Ajv}
+ */
+function createAjv(draft = 'draft-07') {
+    // Schemas may have keywords Ajv doesn't know about, so don't use strict mode.
+    const ajv = new schemaDraftAjvClasses[draft]({ strict: false });
+    addFormats(ajv);
+    if (draft === 'draft-07') {
+        // The draft-07 metaschema $id is an http URL, but schemas often use https
+        // in $schema. Add the local metaschema with the https URL so that it
+        // is never looked up remotely.
+        ajv.addMetaSchema({
+            ...require('ajv/dist/refs/json-schema-draft-07.json'),
+            $id: 'https://json-schema.org/draft-07/schema'
+        });
+    }
+    return ajv;
+}
+
+/**
+ * Returns a pseudo random number generator seeded with seed.
+ * Like Math.random, it returns numbers in [0, 1).
+ * (This is mulberry32, see https://gist.github.com/tommyettinger/46a874533244883189143505d203312c)
+ * @param {number|string} seed
+ * @return {Function}
+ */
+function seededRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns a copy of schema in which the nth enum value of every enum is the only value
+ * (wrapping around), and optional properties are removed depending on n:
+ * the 0th variant keeps all optional properties, the 1st keeps none, and
+ * the others keep each of them at random.
+ * @param {Object} schema
+ * @param {number} n
+ * @param {Function} random
+ * @return {Object}
+ */
+function schemaExampleVariant(schema, n, random) {
+    const variant = _.cloneDeep(schema);
+    traverseSchema(variant, (node) => {
+        if (Array.isArray(node.enum) && !_.isEmpty(node.enum)) {
+            node.enum = [node.enum[n % node.enum.length]];
+        }
+        if (_.isPlainObject(node.properties)) {
+            const required = node.required || [];
+            _.keys(node.properties).filter(prop => !required.includes(prop)).forEach((prop) => {
+                if (n === 1 || (n > 1 && random() < 0.5)) {
+                    delete node.properties[prop];
+                }
+            });
+        }
+    });
+    return variant;
+}
+
+/**
+ * Returns json-schema-faker format generators like jsonSchemaFakerFormats,
+ * that generate values varied with random.
+ * @param {Function} random
+ * @return {Object}
+ */
+function randomFakerFormats(random) {
+    return {
+        'uri-reference': () => `http://example.org/${Math.floor(random() * 1000000)}`,
+        // A date-time in 2021, at a whole second.
+        'date-time': () => new Date(
+            Date.UTC(2021, 0, 1) + Math.floor(random() * 365 * 24 * 3600) * 1000
+        ).toISOString(),
+    };
+}
+
+/**
+ * Generates count varied but reproducible examples of a (dereferenced) schema.
+ * The same schema, count and seed always generate the same examples.
+ * Every enum value is used in turn, and the first example has all optional
+ * properties, the second none of them, and the others a random selection of them.
+ * Only the first example uses the default values and static formats of
+ * generateSchemaExample, the others get random values for all fields.
+ * Throws an Error naming the schema if an example can not be generated, or
+ * if a generated example does not validate against the schema, e.g. because
+ * the generated value of a oneOf matches more than one of its subschemas.
+ *
+ * @param {Object} schema
+ * @param {number} count
+ * @param {number|string} seed
+ * @param {Object} options
+ * @param {string} options.schemaVersionField
+ *  If the schema has a $schema property, in the examples it
+ *  will always be set to the schemaVersionField ($id)
+ *  of the schema.
+ * @return {Array<Object>}
+ */
+function generateSchemaExamples(schema, count = 1, seed = 0, options = {}) {
+    options = readConfig(options);
+    const schemaVersionField = options.schemaVersionField || defaultOptions.schemaVersionField;
+    const random = seededRandom(seed);
+    const ajv = createAjv(schemaDraft(schema, options));
+    const validate = ajv.compile(_.omit(schema, 'examples'));
+    const schemaName = _.compact(['schema', schema.title || schema.$id]).join(' ');
+
+    return _.range(count).map((n) => {
+        const variant = schemaExampleVariant(schema, n, random);
+        let example;
+        // json-schema-faker options and formats are global, so only use
+        // our seeded random and random values while generating.
+        jsonSchemaFaker.option({ random, useDefaultValue: n === 0 });
+        if (n > 0) {
+            setFakerFormats(randomFakerFormats(random));
+        }
+        try {
+            example = jsonSchemaFaker.generate(variant);
+        } catch (err) {
+            throw new Error(`Could not generate example ${n} of ${schemaName}: ${err.message}`);
+        } finally {
+            jsonSchemaFaker.option(_.pick(jsonSchemaFakerOptions, ['random', 'useDefaultValue']));
+            setFakerFormats(jsonSchemaFakerFormats);
+        }
+        if (_.has(example, '$schema')) {
+            example.$schema = _.get(schema, schemaVersionField);
+        }
+        if (!validate(example)) {
+            const errors = ajv.errorsText(validate.errors);
+            throw new Error(`Generated example ${n} did not validate against ${schemaName}: ${errors}`);
+        }
+        return example;
+    });
+}
+
+
+/**
+ * Parses events from JSON or newline delimited JSON (NDJSON) text.
+ * If text is a single JSON object, it is one event; if it is a JSON array, each of its
+ * elements is an event; else each non empty line is parsed as an event.
+ * Returns a list of { position, event } objects, where position is the event's line
+ * number in NDJSON text, or its (1 based) index in a JSON array.
+ * Lines that can't be parsed have error set instead of event.
+ * @param {string} text
+ * @return {Array<Object>}
+ */
+function parseEvents(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        // Not a single JSON document, parse it as NDJSON below.
+    }
+    if (Array.isArray(parsed)) {
+        return parsed.map((event, i) => ({ position: i + 1, event }));
+    } else if (_.isPlainObject(parsed)) {
+        return [{ position: 1, event: parsed }];
+    }
+
+    return text.split('\n').map((line, i) => {
+        if (_.isEmpty(line.trim())) {
+            return null;
+        }
+        try {
+            return { position: i + 1, event: JSON.parse(line) };
+        } catch (err) {
+            return { position: i + 1, error: `Failed parsing event: ${err.message}` };
+        }
+    }).filter(_.identity);
+}
+
+/**
+ * Creates an event validator, which validates events against the schema identified
+ * by their $schema field.  Schemas are looked up with getSchemaById, i.e. through
+ * options.schemaBaseUris, and compiled the first time they are used.  Compiled schemas
+ * are cached; at most options.eventValidatorCacheSize of them are kept, and the least
+ * recently used one is evicted first.  Schemas that fail to be looked up are not cached,
+ * so they will be looked up again.
+ *
+ * Returns an object with:
+ * - validate(event): Resolves with { valid, schemaId, errors }, where errors is a
+ *   (possibly empty) list of error messages.  Rejects if the event has no $schema field,
+ *   or if its schema can't be looked up or compiled.
+ * - getSchemaValidator(schemaId): Resolves with the compiled Ajv validate function
+ *   for the schema at schemaId.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function createEventValidator(options = {}) {
+    options = readConfig(options);
+    const cacheSize = options.eventValidatorCacheSize || defaultOptions.eventValidatorCacheSize;
+    // Map of JSONSchema draft to the Ajv instance used to compile schemas of that draft.
+    const ajvs = {};
+    // Map of $schema URI to Promise of { ajv, validate } (the compiled schema),
+    // from least to most recently used.
+    const compiledSchemas = new Map();
+
+    function getCompiledSchema(schemaId) {
+        let compiledSchema = compiledSchemas.get(schemaId);
+        if (compiledSchema) {
+            // Re-insert below to mark it as most recently used.
+            compiledSchemas.delete(schemaId);
+        } else {
+            compiledSchema = getSchemaById(schemaId, options).then((schema) => {
+                const draft = schemaDraft(schema, options);
+                ajvs[draft] = ajvs[draft] || createAjv(draft);
+                const ajv = ajvs[draft];
+                // compiledSchemas caches compiled schemas, so don't let Ajv also keep them by $id.
+                return { ajv, validate: ajv.compile(_.omit(schema, '$id')) };
+            }).catch((err) => {
+                if (compiledSchemas.get(schemaId) === compiledSchema) {
+                    compiledSchemas.delete(schemaId);
+                }
+                const message = err.message.replace(/\s+/g, ' ').trim();
+                throw new Error(`Failed loading schema ${schemaId}: ${message}`);
+            });
+        }
+        compiledSchemas.set(schemaId, compiledSchema);
+
+        if (compiledSchemas.size > cacheSize) {
+            const [evictedSchemaId, evicted] = compiledSchemas.entries().next().value;
+            compiledSchemas.delete(evictedSchemaId);
+            evicted.then(({ ajv, validate }) => ajv.removeSchema(validate.schema), _.noop);
+        }
+        return compiledSchema;
+    }
+
+    async function getSchemaValidator(schemaId) {
+        return (await getCompiledSchema(schemaId)).validate;
+    }
+
+    async function validate(event) {
+        const schemaId = _.get(event, '$schema');
+        if (!_.isString(schemaId)) {
+            throw new Error('Event does not have a $schema field');
+        }
+        const { ajv, validate: validateFunction } = await getCompiledSchema(schemaId);
+        const valid = validateFunction(event);
+        const errors = valid ? [] : validateFunction.errors.map(error => ajv.errorsText([error]));
+        return { valid, schemaId, errors };
+    }
+
+    return { validate, getSchemaValidator };
+}
+
+/**
+ * Validates parsed events (as returned by parseEvents) with an event validator
+ * (see createEventValidator).
+ * Returns the parsed events, each with schemaId and a (possibly empty) list of errors.
+ * @param {Array<Object>} parsedEvents
+ * @param {Object} options
+ * @param {Object} eventValidator defaults to a new event validator created with options.
+ * @return {Promise<Array<Object>>}
+ */
+async function validateEvents(
+    parsedEvents, options = {}, eventValidator = createEventValidator(options)
+) {
+    return Promise.mapSeries(parsedEvents, async (parsedEvent) => {
+        if (parsedEvent.error) {
+            return { ...parsedEvent, errors: [parsedEvent.error] };
+        }
+        try {
+            const { schemaId, errors } = await eventValidator.validate(parsedEvent.event);
+            return { ...parsedEvent, schemaId, errors };
+        } catch (err) {
+            const schemaId = _.get(parsedEvent.event, '$schema');
+            return { ...parsedEvent, schemaId, errors: [err.message] };
+        }
+    });
+}
+
+/**
+ * Formats event validation results (as returned by validateEvents) for source,
+ * one line per error, e.g. events.json:3: data.name should be string (/test/event/1.0.0).
+ * @param {Array<Object>} results
+ * @param {string} source name of the file the events were read from.
+ * @return {string}
+ */
+function formatEventValidationErrors(results, source) {
+    return _.flatMap(results, result => result.errors.map((error) => {
+        const schemaId = result.schemaId ? ` (${result.schemaId})` : '';
+        return `${source}:${result.position}: ${error}${schemaId}`;
+    })).join('\n');
+}
+
+
+/**
+ * Traverses through all the fields in the schema, including nested properties, and
+ * sets the numeric bounds specified in options when the object type is number.
+ * If bounds is not set, the schema is returned unchanged.
+ * @param {Object} schema
+ * @param {Array} bounds as specified in options
+ * @return {Object} schema with bounded numeric fields
+ */
+function enforceNumericBounds(schema, bounds) {
+    const schemaCopy = _.cloneDeep(schema);
+    if (_.isEmpty(bounds)) {
+        return schemaCopy;
+    }
+    const enforcedMin = bounds[0];
+    const enforcedMax = bounds[1];
+    traverseSchema(schemaCopy, (obj) => {
+        if (['number', 'integer'].includes(obj.type)) {
+            obj.minimum = _.isUndefined(obj.minimum) ? enforcedMin : obj.minimum;
+            obj.maximum = _.isUndefined(obj.maximum) ? enforcedMax : obj.maximum;
+        }
+
+    });
+    return schemaCopy;
+}
+
+
 /**
  * Outputs a given schema with any modifications specified in the options,
  * including but not limited to dereferencing and enforcing numeric bounds.
@@ -842,22 +1784,644 @@ async function materializeSchema(schema, options) {
 }
 
 /**
- * Materializes a versioned schema file in the directory.
+ * Returns the versions of all materialized schema files of the first
+ * content type in schemaDirectory, sorted by semver.
+ * @param {string} schemaDirectory
+ * @param {Object} options
+ * @return {Array<string>}
+ */
+function materializedSchemaVersions(schemaDirectory, options = {}) {
+    options = readConfig(options);
+    if (!fse.existsSync(schemaDirectory)) {
+        return [];
+    }
+    return fse.readdirSync(schemaDirectory)
+        .filter(f => isVersionedSchemaFile(f) && fileExtension(f) === `.${options.contentTypes[0]}`)
+        .map(extensionlessPath)
+        .sort(semver.compare);
+}
+
+/**
+ * Throws an Error if the versioned schema file at schemaPath has already been
+ * committed to git (in HEAD) with content different than schema.
+ * Versioned schema files are published, and should never be modified.
+ * @param {string} schemaPath
+ * @param {Object} schema
+ * @param {Object} options
+ * @return {Promise}
+ */
+async function assertNotOverwritingPublishedVersion(schemaPath, schema, options = {}) {
+    options = readConfig(options);
+    const publishedContent = await gitFileContent(schemaPath, 'HEAD', options);
+    if (publishedContent !== null && !_.isEqual(yaml.safeLoad(publishedContent), schema)) {
+        throw new Error(
+            `Refusing to overwrite ${schemaPath}: it has already been committed to git ` +
+            'with different content. Versioned schema files should not be modified, ' +
+            'bump the schema version instead, or use --force to overwrite it anyway.'
+        );
+    }
+}
+
+/**
+ * These fields are allowed to change between schema versions.
+ */
+const FIELDS_ALLOWED_TO_CHANGE = [
+    '$id',
+    'description',
+    'examples'
+];
+
+/**
+ * Returns true if fieldName is allowed to change between schema versions.
+ * @param {string} fieldName
+ * @return {boolean}
+ */
+function isAllowedToChange(fieldName) {
+    return FIELDS_ALLOWED_TO_CHANGE.indexOf(fieldName) !== -1;
+}
+
+// Functions used to determine if a constraint keyword's newValue relaxes oldValue.
+const relaxedIfHigher = (newValue, oldValue) => newValue >= oldValue;
+const relaxedIfLower = (newValue, oldValue) => newValue <= oldValue;
+const relaxedIfEqual = (newValue, oldValue) => _.isEqual(newValue, oldValue);
+
+/**
+ * Returns the number of decimal places of value, e.g. 2 for 0.01 and 7 for 1e-7.
+ * @param {number} value
+ * @return {number}
+ */
+function decimalPlaces(value) {
+    const [mantissa, exponent] = String(value).split('e');
+    const fractionDigits = (mantissa.split('.')[1] || '').length;
+    return Math.max(0, fractionDigits - Number(exponent || 0));
+}
+
+/**
+ * Returns true if newValue relaxes the multipleOf oldValue, i.e. if any multiple of oldValue
+ * is also a multiple of newValue.  The values are scaled to integers first, so that
+ * decimals like 0.1 and 0.01 are compared without floating point errors.
+ * @param {number} newValue
+ * @param {number} oldValue
+ * @return {boolean}
+ */
+function relaxedIfDivisor(newValue, oldValue) {
+    const scale = 10 ** Math.max(decimalPlaces(newValue), decimalPlaces(oldValue));
+    return Math.round(oldValue * scale) % Math.round(newValue * scale) === 0;
+}
+
+/**
+ * Constraint keywords whose values are allowed to change between schema versions,
+ * as long as the constraint is only relaxed.  Maps the keyword to a function
+ * that returns true if newValue is the same as or more relaxed than oldValue.
+ * An undefined value means the constraint is not set, which is the most relaxed.
+ * Setting a constraint that was not previously set tightens it.
+ */
+const CONSTRAINT_KEYWORDS_ALLOWED_TO_RELAX = {
+    maximum: relaxedIfHigher,
+    exclusiveMaximum: relaxedIfHigher,
+    maxLength: relaxedIfHigher,
+    maxItems: relaxedIfHigher,
+    maxProperties: relaxedIfHigher,
+    minimum: relaxedIfLower,
+    exclusiveMinimum: relaxedIfLower,
+    minLength: relaxedIfLower,
+    minItems: relaxedIfLower,
+    minProperties: relaxedIfLower,
+    multipleOf: relaxedIfDivisor,
+    uniqueItems: (newValue, oldValue) => !newValue || oldValue,
+    // We can't tell if a different pattern or format is more relaxed,
+    // so these may only be removed.
+    pattern: relaxedIfEqual,
+    format: relaxedIfEqual,
+    const: relaxedIfEqual,
+    // (2019-09) Only boolean values are constraints here, schema values are compared
+    // like any other schema.
+    unevaluatedProperties: (newValue, oldValue) => newValue !== false || oldValue === false,
+    unevaluatedItems: (newValue, oldValue) => newValue !== false || oldValue === false,
+};
+
+/**
+ * Values of constraint keywords that don't constrain anything, so that
+ * not setting the keyword is the same as setting it to this value.
+ */
+const CONSTRAINT_KEYWORD_DEFAULTS = {
+    uniqueItems: false,
+    unevaluatedProperties: true,
+    unevaluatedItems: true,
+};
+
+/**
+ * Returns true if key is a constraint keyword in CONSTRAINT_KEYWORDS_ALLOWED_TO_RELAX.
+ * Objects are never constraint values, this keeps properties that happen
+ * to be named like a constraint keyword (e.g. properties.pattern) from
+ * being mistaken for one.
+ * @param {string} key
+ * @param {*} newValue
+ * @param {*} oldValue
+ * @return {boolean}
+ */
+function isConstraintKeyword(key, newValue, oldValue) {
+    return _.has(CONSTRAINT_KEYWORDS_ALLOWED_TO_RELAX, key) &&
+        !_.isObject(newValue) && !_.isObject(oldValue);
+}
+
+/**
+ * Returns compatibility violations if the newValue of constraint keyword
+ * is tighter than oldValue.  Unset keywords in CONSTRAINT_KEYWORD_DEFAULTS
+ * are compared as their default value.
+ * @param {string} keyword
+ * @param {*} newValue
+ * @param {*} oldValue
+ * @param {string} path
+ * @return {Array<Object>}
+ */
+function constraintCompatibilityViolations(keyword, newValue, oldValue, path) {
+    const defaultValue = CONSTRAINT_KEYWORD_DEFAULTS[keyword];
+    const newConstraint = _.isUndefined(newValue) ? defaultValue : newValue;
+    const oldConstraint = _.isUndefined(oldValue) ? defaultValue : oldValue;
+    if (_.isUndefined(newConstraint)) {
+        // Removing a constraint always relaxes it.
+        return [];
+    }
+
+    const isRelaxed = CONSTRAINT_KEYWORDS_ALLOWED_TO_RELAX[keyword];
+    if (_.isUndefined(oldConstraint) || !isRelaxed(newConstraint, oldConstraint)) {
+        return [{
+            path,
+            rule: 'constraint-tightened',
+            message: `${_.isUndefined(oldValue) ? 'Added' : 'Tightened'} ${keyword} constraint at: ${path}`,
+            expected: oldValue,
+            actual: newValue
+        }];
+    }
+    return [];
+}
+
+/**
+ * Returns compatibility violations if newRequired is not the same list as oldRequired.
+ * @param {Array} newRequired
+ * @param {Array} oldRequired
+ * @param {string} path
+ * @return {Array<Object>}
+ */
+function requiredCompatibilityViolations(newRequired, oldRequired, path) {
+    if (oldRequired && !newRequired) {
+        return [{
+            path,
+            rule: 'required-removed',
+            message: `Removed list of required properties at: ${path}`,
+            expected: oldRequired,
+            actual: newRequired
+        }];
+    }
+
+    if (!_.isEqual(_.sortBy(newRequired), _.sortBy(oldRequired))) {
+        return [{
+            path,
+            rule: 'required-modified',
+            message: `Requiredness of properties cannot be modified at: ${path}`,
+            expected: oldRequired,
+            actual: newRequired
+        }];
+    }
+    return [];
+}
+
+/**
+ * Returns true if value is undefined or looks like a dependentRequired value,
+ * i.e. an object of property names to lists of property names.  This keeps properties
+ * that happen to be named dependentRequired from being mistaken for the keyword.
+ * @param {*} value
+ * @return {boolean}
+ */
+function isDependentRequired(value) {
+    return _.isUndefined(value) || (_.isPlainObject(value) && _.every(value, Array.isArray));
+}
+
+/**
+ * Returns compatibility violations if the (2019-09) dependentRequired lists of
+ * newDependentRequired are not the same as those of oldDependentRequired.
+ * Like required, dependent requiredness of properties can't be added or removed.
+ * @param {Object} newDependentRequired
+ * @param {Object} oldDependentRequired
+ * @param {string} path
+ * @return {Array<Object>}
+ */
+function dependentRequiredCompatibilityViolations(
+    newDependentRequired, oldDependentRequired, path
+) {
+    const normalize = dependentRequired => _.mapValues(dependentRequired || {}, _.sortBy);
+    if (!_.isEqual(normalize(newDependentRequired), normalize(oldDependentRequired))) {
+        return [{
+            path,
+            rule: 'dependent-required-modified',
+            message: `Dependent requiredness of properties cannot be modified at: ${path}`,
+            expected: oldDependentRequired,
+            actual: newDependentRequired
+        }];
+    }
+    return [];
+}
+
+/**
+ * Returns compatibility violations if newEnum is not a superset of oldEnum.
+ * @param {Array} newEnum
+ * @param {Array} oldEnum
+ * @param {string} path
+ * @return {Array<Object>}
+ */
+function enumCompatibilityViolations(newEnum, oldEnum, path) {
+    if (oldEnum && !newEnum) {
+        return [{
+            path,
+            rule: 'enum-removed',
+            message: `Removed enum at: ${path}`,
+            expected: oldEnum,
+            actual: newEnum
+        }];
+    }
+
+    if (!oldEnum.every(e => newEnum.includes(e))) {
+        return [{
+            path,
+            rule: 'enum-not-superset',
+            message: `New enum is not superset of old enum at: ${path}`,
+            expected: oldEnum,
+            actual: newEnum
+        }];
+    }
+    return [];
+}
+
+/**
+ * Recursively walks oldSchema and newSchema and returns every place where
+ * newSchema is not backwards compatible with oldSchema.
+ * This does not stop at the first violation, so that all of them can be reported at once.
+ * @param {*} newSchema
+ * @param {*} oldSchema
+ * @param {string} path
+ * @return {Array<Object>}
+ */
+function schemaCompatibilityViolations(newSchema, oldSchema, path = '') {
+    /**
+     * Returns compatibility violations if (2020-12) newPrefixItems is not compatible with
+     * oldPrefixItems.  Each of oldPrefixItems schemas must be compatible with the newPrefixItems
+     * schema at the same position, and adding schemas for positions that didn't have one
+     * constrains those items.
+     * @param {Array<Object>} newPrefixItems
+     * @param {Array<Object>} oldPrefixItems
+     * @param {string} path
+     * @return {Array<Object>}
+     */
+    function prefixItemsCompatibilityViolations(newPrefixItems = [], oldPrefixItems = [], path) {
+        const removedOrChanged = _.flatMap(oldPrefixItems, (oldItems, i) => {
+            if (i >= newPrefixItems.length) {
+                return [{
+                    path: `${path}.${i}`,
+                    rule: 'field-removed',
+                    message: `Removed field at: ${path}.${i}`,
+                    expected: oldItems
+                }];
+            }
+            return schemaCompatibilityViolations(newPrefixItems[i], oldItems, `${path}.${i}`);
+        });
+        const added = newPrefixItems.slice(oldPrefixItems.length).map((newItems, i) => ({
+            path: `${path}.${oldPrefixItems.length + i}`,
+            rule: 'prefix-items-added',
+            message: `Added prefixItems schema at: ${path}.${oldPrefixItems.length + i}`,
+            actual: newItems
+        }));
+        return removedOrChanged.concat(added);
+    }
+
+    if (typeof newSchema !== typeof oldSchema ||
+        Array.isArray(newSchema) !== Array.isArray(oldSchema)) {
+        return [{
+            path,
+            rule: 'type-changed',
+            message: `Type of value changed at: ${path}`,
+            expected: oldSchema,
+            actual: newSchema
+        }];
+    } else if (_.isObject(oldSchema)) {
+        // Go recursively.  Keys only in newSchema are only checked
+        // if they are constraint keywords, as those might tighten the schema.
+        return _.flatMap(_.union(Object.keys(oldSchema), Object.keys(newSchema)), (key) => {
+            if (isAllowedToChange(key)) {
+                return [];
+            }
+
+            if (isConstraintKeyword(key, newSchema[key], oldSchema[key])) {
+                return constraintCompatibilityViolations(
+                    key, newSchema[key], oldSchema[key], `${path}.${key}`
+                );
+            }
+
+            // These can constrain the schema when they are added, so check them
+            // even if they are only in newSchema.
+            if (key === 'dependentRequired' &&
+                isDependentRequired(newSchema[key]) && isDependentRequired(oldSchema[key])) {
+                return dependentRequiredCompatibilityViolations(
+                    newSchema[key], oldSchema[key], `${path}.${key}`
+                );
+            } else if (key === 'prefixItems' && Array.isArray(newSchema[key] || oldSchema[key])) {
+                return prefixItemsCompatibilityViolations(
+                    newSchema[key], oldSchema[key], `${path}.${key}`
+                );
+            }
+
+            if (!_.has(oldSchema, key)) {
+                return [];
+            }
+
+            switch (key) {
+                case 'required':
+                    return requiredCompatibilityViolations(
+                        newSchema.required, oldSchema.required, `${path}.${key}`
+                    );
+                case 'enum':
+                    return enumCompatibilityViolations(
+                        newSchema.enum, oldSchema.enum, `${path}.${key}`
+                    );
+                default:
+                    // If the field is in both schemas, must be compatible
+                    if (_.has(newSchema, key)) {
+                        return schemaCompatibilityViolations(
+                            newSchema[key], oldSchema[key], `${path}.${key}`
+                        );
+                    }
+                    return [{
+                        path: `${path}.${key}`,
+                        rule: 'field-removed',
+                        message: `Removed field at: ${path}.${key}`,
+                        expected: oldSchema[key]
+                    }];
+            }
+        });
+    } else if (newSchema !== oldSchema) {
+        return [{
+            path,
+            rule: 'value-changed',
+            message: `Value changed at: ${path}`,
+            expected: oldSchema,
+            actual: newSchema
+        }];
+    }
+    return [];
+}
+
+/**
+ * Map of compatibility mode to the directions in which compatibility must be checked.
+ * backward checks newSchema against oldSchema, forward checks oldSchema against newSchema.
+ */
+const compatibilityModeDirections = {
+    backward: ['backward'],
+    forward: ['forward'],
+    full: ['backward', 'forward'],
+    none: [],
+};
+
+/**
+ * Returns the compatibility mode configured for schema via options.compatibilityMode.
+ * If options.compatibilityMode is an object mapping $id regexes to modes,
+ * the mode of the first regex that matches the schema's $id is returned,
+ * else backward.
+ * @param {Object} schema
+ * @param {Object} options
+ * @return {string} one of backward, forward, full or none.
+ */
+function schemaCompatibilityMode(schema, options = {}) {
+    options = readConfig(options);
+    const compatibilityMode = options.compatibilityMode || defaultOptions.compatibilityMode;
+
+    let mode = compatibilityMode;
+    if (_.isObject(compatibilityMode)) {
+        const schemaId = _.get(schema, '$id', '');
+        const schemaIdRegex = _.keys(compatibilityMode).find(regex => schemaId.match(regex));
+        mode = schemaIdRegex ? compatibilityMode[schemaIdRegex] : 'backward';
+    }
+
+    if (_.isUndefined(compatibilityModeDirections[mode])) {
+        throw new Error(
+            `Invalid compatibilityMode ${mode}. ` +
+            `compatibilityMode must be one of ${_.keys(compatibilityModeDirections).join(',')}`
+        );
+    }
+    return mode;
+}
+
+/**
+ * Checks that newSchema is compatible with oldSchema according to the
+ * compatibility mode configured for newSchema (see schemaCompatibilityMode).
+ * A backwards compatible newSchema may only add new non-required fields, may only
+ * add new values to existing enums, and may only relax constraint keywords
+ * listed in CONSTRAINT_KEYWORDS_ALLOWED_TO_RELAX.  A forwards compatible newSchema is checked
+ * the other way around: oldSchema is checked against newSchema with the same rules.
+ * Fields in FIELDS_ALLOWED_TO_CHANGE are ignored.
+ *
+ * A violation object looks like:
+ * {
+ *  path: '.properties.test_enum.enum',
+ *  rule: 'enum-not-superset', // Name of the compatibility rule that was violated.
+ *  direction: 'backward',       // or 'forward'
+ *  message: 'New enum is not superset of old enum at: .properties.test_enum.enum',
+ *  expected: ['val1', 'val2'], // value in oldSchema (in newSchema if forward)
+ *  actual: ['val1'],           // value in newSchema (in oldSchema if forward)
+ * }
+ *
+ * @param {Object} newSchema
+ * @param {Object} oldSchema
+ * @param {Object} options
+ * @param {string|Object} options.compatibilityMode
+ * @return {Array<Object>} compatibility violations. Empty if newSchema is compatible.
+ */
+function checkCompatibility(newSchema, oldSchema, options = {}) {
+    options = readConfig(options);
+    const directions = compatibilityModeDirections[schemaCompatibilityMode(newSchema, options)];
+
+    return _.flatMap(directions, (direction) => {
+        const violations = direction === 'backward' ?
+            schemaCompatibilityViolations(newSchema, oldSchema) :
+            schemaCompatibilityViolations(oldSchema, newSchema);
+        // Drop undefined expected or actual values (e.g. for removed fields)
+        // so that violations can be serialized.
+        return violations.map(violation => _.omitBy({ ...violation, direction }, _.isUndefined));
+    });
+}
+
+/**
+ * Returns a deep copy of schema without any of the FIELDS_ALLOWED_TO_CHANGE.
+ * @param {*} schema
+ * @return {*}
+ */
+function omitFieldsAllowedToChange(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(omitFieldsAllowedToChange);
+    } else if (_.isObject(schema)) {
+        return _.mapValues(
+            _.omitBy(schema, (value, key) => isAllowedToChange(key)),
+            omitFieldsAllowedToChange
+        );
+    }
+    return schema;
+}
+
+/**
+ * Returns the minimum semver bump needed for a schema that changed from oldSchema
+ * to newSchema: major if newSchema is not compatible with oldSchema
+ * (according to the configured compatibilityMode), minor if any fields other than
+ * FIELDS_ALLOWED_TO_CHANGE changed, patch if only those changed, else null.
+ * @param {Object} newSchema
+ * @param {Object} oldSchema
+ * @param {Object} options
+ * @return {string|null} one of major, minor, patch or null.
+ */
+function schemaVersionBump(newSchema, oldSchema, options = {}) {
+    options = readConfig(options);
+    const omitVersionField = schema => _.omit(schema, options.schemaVersionField);
+
+    if (!_.isEmpty(checkCompatibility(newSchema, oldSchema, options))) {
+        return 'major';
+    } else if (
+        !_.isEqual(omitFieldsAllowedToChange(newSchema), omitFieldsAllowedToChange(oldSchema))
+    ) {
+        return 'minor';
+    } else if (!_.isEqual(omitVersionField(newSchema), omitVersionField(oldSchema))) {
+        return 'patch';
+    }
+    return null;
+}
+
+/**
+ * Returns compatibility violations with the source location (see schemaSourceLocation)
+ * of their path set as location, if newSchema and oldSchema were read with readObject.
+ * Violations are located in newSchema, or in oldSchema if their path only exists there,
+ * e.g. for removed fields.
+ * @param {Array<Object>} violations as returned by checkCompatibility
+ * @param {Object} newSchema
+ * @param {Object} oldSchema
+ * @param {Object} options
+ * @return {Array<Object>}
+ */
+function locateCompatibilityViolations(violations, newSchema, oldSchema, options = {}) {
+    options = readConfig(options);
+    return violations.map((violation) => {
+        const pointer = violation.path.replace(/\./g, '/');
+        const location = exactSchemaSourceLocation(newSchema, pointer, options) ||
+            exactSchemaSourceLocation(oldSchema, pointer, options) ||
+            schemaSourceLocation(newSchema, pointer, options);
+        return location ? { ...violation, location } : violation;
+    });
+}
+
+/**
+ * Returns a human readable list of compatibility violations, one per line.
+ * Violations located by locateCompatibilityViolations end with their file:line:column.
+ * @param {Array<Object>} violations as returned by checkCompatibility
+ * @return {string}
+ */
+function formatCompatibilityViolations(violations) {
+    return violations.map((v) => {
+        const location = v.location ? ` (${formatSourceLocation(v.location)})` : '';
+        return `  [${v.rule}] (${v.direction}) ${v.message}${location}`;
+    }).join('\n');
+}
+
+/**
+ * Throws an Error if the materialized schema is not compatible with the previous
+ * materialized version in schemaDirectory with the same major version.
+ * Nothing is checked if there is no previous version with the same major version.
+ * The thrown Error will have the compatibility violations set as err.violations.
+ * @param {string} schemaDirectory
+ * @param {Object} schema materialized schema
+ * @param {Object} options
+ * @return {Promise}
+ */
+async function assertCompatibleWithPreviousVersion(schemaDirectory, schema, options = {}) {
+    options = readConfig(options);
+    const version = schemaVersion(schema, options.schemaVersionField);
+
+    const previousVersion = _.findLast(
+        materializedSchemaVersions(schemaDirectory, options),
+        v => semver.major(v) === semver.major(version) && semver.lt(v, version)
+    );
+    if (!previousVersion) {
+        return;
+    }
+
+    const previousSchemaPath = path.join(schemaDirectory, `${previousVersion}.${options.contentTypes[0]}`);
+    options.log.info(`Checking that ${version} is compatible with ${previousSchemaPath}`);
+    const violations = checkCompatibility(schema, await readObject(previousSchemaPath), options);
+
+    if (!_.isEmpty(violations)) {
+        const err = new Error(
+            `Refusing to materialize ${path.join(schemaDirectory, version)}: ` +
+            `it is not compatible with ${previousVersion}. Found ${violations.length} ` +
+            `compatibility violations:\n${formatCompatibilityViolations(violations)}\n` +
+            'Either make the schema compatible or bump its major version.'
+        );
+        err.violations = violations;
+        throw err;
+    }
+}
+
+/**
+ * Materializes schema in memory, and checks that it can be written to schemaDirectory:
+ * that it is compatible with the previous version (if enforceCompatibilityOnMaterialize),
+ * that it doesn't overwrite a published version (unless forceOverwrite), and that it can
+ * be converted to the other configured schema formats.  Nothing is written.
  *
  * @param {string} schemaDirectory directory in which to materialize schema
  * @param {Object} schema Schema to materialize
  * @param {Object} options
- * @return {Promise<string>} path of newly materialized files
+ * @return {Promise<Object>} { schemaDirectory, version, schema, avroSchema,
+ *                           typeScriptDefinitions }, to pass to writeMaterializedSchema.
  */
-async function materializeSchemaToPath(schemaDirectory, schema, options = {}) {
+async function prepareMaterializedSchema(schemaDirectory, schema, options = {}) {
     options = readConfig(options);
-    const log = options.log;
 
     const version = schemaVersion(schema, options.schemaVersionField);
 
     schema = await materializeSchema(schema, options);
 
-    return _.flatten(await Promise.all(options.contentTypes.map(async (contentType) => {
+    if (options.enforceCompatibilityOnMaterialize) {
+        await assertCompatibleWithPreviousVersion(schemaDirectory, schema, options);
+    }
+
+    if (!options.forceOverwrite) {
+        // Check all content types before writing any of them.
+        await Promise.all(options.contentTypes.map((contentType) => {
+            const materializedSchemaPath = path.join(schemaDirectory, `${version}.${contentType}`);
+            return assertNotOverwritingPublishedVersion(materializedSchemaPath, schema, options);
+        }));
+    }
+
+    // Convert to other schema formats before writing any files,
+    // so unconvertible schemas are not materialized.
+    const title = _.get(schema, options.schemaTitleField);
+    const avroSchema = options.shouldGenerateAvroSchema ? schemaToAvro(schema, title) : null;
+    const typeScriptDefinitions = options.shouldGenerateTypeScript ?
+        schemaToTypeScript(schema, title) : null;
+
+    return { schemaDirectory, version, schema, avroSchema, typeScriptDefinitions };
+}
+
+/**
+ * Writes a schema prepared by prepareMaterializedSchema to its versioned schema files,
+ * and updates its symlinks.
+ *
+ * @param {Object} materialized as returned by prepareMaterializedSchema
+ * @param {Object} options
+ * @return {Promise<string>} path of newly materialized files
+ */
+async function writeMaterializedSchema(materialized, options = {}) {
+    options = readConfig(options);
+    const log = options.log;
+    const {
+        schemaDirectory, version, schema, avroSchema, typeScriptDefinitions
+    } = materialized;
+
+    const files = _.flatten(await Promise.all(options.contentTypes.map(async (contentType) => {
         let materializedFiles = [];
 
         const materializedSchemaFileName = `${version}.${contentType}`;
@@ -946,10 +2510,48 @@ async function materializeSchemaToPath(schemaDirectory, schema, options = {}) {
 
         return materializedFiles;
     })));
+
+    if (avroSchema) {
+        const avroSchemaPath = path.join(schemaDirectory, `${version}.avsc`);
+        if (!options.dryRun) {
+            await fse.writeFile(avroSchemaPath, `${JSON.stringify(avroSchema, null, 2)}\n`);
+            log.info(`Materialized Avro schema at ${avroSchemaPath}.`);
+            files.push(avroSchemaPath);
+        } else {
+            log.info(`--dry-run: Would have materialized Avro schema at ${avroSchemaPath}.`);
+        }
+    }
+
+    if (typeScriptDefinitions) {
+        const typeScriptFileName = `${version}.d.ts`;
+        const typeScriptPath = path.join(schemaDirectory, typeScriptFileName);
+        if (!options.dryRun) {
+            await fse.writeFile(typeScriptPath, typeScriptDefinitions);
+            log.info(`Materialized TypeScript type definitions at ${typeScriptPath}.`);
+            files.push(typeScriptPath);
+
+            // Like the latest schema symlinks, latest.d.ts points at the latest version.
+            const latestVersion = _.last(materializedSchemaVersions(schemaDirectory, options));
+            if (
+                options.shouldSymlinkLatest &&
+                (!latestVersion || semver.gte(version, latestVersion))
+            ) {
+                const latestSymlinkPath = path.join(schemaDirectory, 'latest.d.ts');
+                await createSymlink(typeScriptFileName, latestSymlinkPath);
+                log.info(`Created latest symlink ${latestSymlinkPath} -> ${typeScriptFileName}.`);
+                files.push(latestSymlinkPath);
+            }
+        } else {
+            log.info(
+                `--dry-run: Would have materialized TypeScript type definitions at ${typeScriptPath}.`
+            );
+        }
+    }
+
+    return files;
 }
 
 /**
- * @deprecated
  * Materializes a versioned schema file in the directory.
  *
  * @param {string} schemaDirectory directory in which to materialize schema
@@ -957,61 +2559,23 @@ async function materializeSchemaToPath(schemaDirectory, schema, options = {}) {
  * @param {Object} options
  * @return {Promise<string>} path of newly materialized files
  */
-async function materializeSchemaVersion(schemaDirectory, schema, options = {}) {
-    return materializeSchemaToPath(schemaDirectory, schema, options);
+async function materializeSchemaToPath(schemaDirectory, schema, options = {}) {
+    return writeMaterializedSchema(
+        await prepareMaterializedSchema(schemaDirectory, schema, options), options
+    );
 }
 
 /**
- * Finds modified 'current' schema files in options.schemaBasePath and materializes them.
+ * @deprecated
+ * Materializes a versioned schema file in the directory.
  *
+ * @param {string} schemaDirectory directory in which to materialize schema
+ * @param {Object} schema Schema to materialize
  * @param {Object} options
- * @return {Promise<Array<string>>} List of files that were generated
+ * @return {Promise<string>} path of newly materialized files
  */
-async function materializeModifiedSchemas(options = {}) {
-    options = readConfig(options);
-
-    options.log.info(`Looking for modified ${options.currentName} schema files in ${options.schemaBasePath}`);
-    const schemaPaths = await gitModifiedCurrentSchemaPaths(options);
-
-    if (_.isEmpty(schemaPaths)) {
-        options.log.info(`No modified ${options.currentName} schema files were found.`);
-        return [];
-    } else {
-        // There's no good way to know of $ref dependency order, but a good guess
-        // is to render those with a shorter directory hierarchy first.
-        const sortedSchemaPaths = schemaPaths.sort((p1, p2) => {
-            // If common is in the path, it might/should sort before.
-            const p1Common = p1.includes('common');
-            const p2Common = p2.includes('common');
-
-            return p1Common === p2Common ? 0 : (p1Common ? -1 : 1) ||
-                p1.split('/').length - p2.split('/').length;
-        });
-
-        const generatedFiles = _.flatten(
-            await Promise.mapSeries(sortedSchemaPaths, (async (schemaPath) => {
-                const schemaDirectory = path.dirname(schemaPath);
-                options.log.info(`Materializing ${schemaPath}...`);
-                const schema = await readObject(schemaPath);
-                return materializeSchemaToPath(
-                    schemaDirectory,
-                    schema,
-                    options
-                );
-            }))
-        );
-
-        if (options.shouldGitAdd && !options.dryRun) {
-            options.log.info(`New schema files have been materialized. Adding them to git: ${generatedFiles}`);
-            try {
-                await gitAdd(generatedFiles, options);
-            } catch (err) {
-                options.log.error(err, 'Failed git add of newly materialized schema files.');
-                throw err;
-            }
-        }
-        return generatedFiles;
-    }
+async function materializeSchemaVersion(schemaDirectory, schema, options = {}) {
+    return materializeSchemaToPath(schemaDirectory, schema, options);
 }
 
 const preCommitContent = `
@@ -1068,8 +2632,8 @@ function findSchemaPaths(options = {}) {
 /**
  * Compare function for schema info, used for sorting based
  * on 'common' schema, title, semver, and 'current'.
- * There's no good way to know of schema dependency order without
- * building a graph, but we can at least guess with some good heuristics.
+ * This only guesses at schema dependency order with some heuristics;
+ * schemas are materialized in the order given by schemaDependencyGraph.
  *
  * @param {Object} infoA
  * @param {Objectt} infoB
@@ -1164,19 +2728,533 @@ function findSchemasByTitleAndMajor(options = {}) {
     return groupSchemasByTitleAndMajor(findAllSchemasInfo(options));
 }
 
+/**
+ * Returns Hive DDL for materialized versions of the schema with title
+ * found in options.schemaBasePath.
+ * - If no versions are given, returns a CREATE TABLE statement for the latest version.
+ * - If one version is given, returns a CREATE TABLE statement for that version.
+ * - If two versions are given, returns the ALTER TABLE statements needed to evolve
+ *   a table created for the first version so it can hold data of the second version.
+ *   This will be empty if the table does not need to change, and throws an Error
+ *   if the table can't be evolved additively.
+ *
+ * @param {string} title
+ * @param {Array<string>} versions
+ * @param {string} tableName Hive table name. Defaults to title with non word characters
+ *                           replaced with '_', e.g. mediawiki/revision-create ->
+ *                           mediawiki_revision_create.
+ * @param {Object} options
+ * @return {string}
+ */
+function schemaHiveDdl(title, versions = [], tableName = undefined, options = {}) {
+    options = readConfig(options);
+    if (versions.length > 2) {
+        throw new Error(`Expected at most 2 versions of schema ${title}, got ${versions.length}`);
+    }
+
+    const schemaInfos = (findSchemasByTitle(options)[title] || []).filter(
+        info => !info.current && info.contentType === options.contentTypes[0]
+    );
+    if (_.isEmpty(schemaInfos)) {
+        throw new Error(
+            `No materialized versions of schema ${title} were found in ${options.schemaBasePath}`
+        );
+    }
+    function materializedSchema(version) {
+        const schemaInfo = schemaInfos.find(info => info.version === version);
+        if (!schemaInfo) {
+            throw new Error(`Version ${version} of schema ${title} has not been materialized`);
+        }
+        return schemaInfo.schema;
+    }
+
+    tableName = tableName || hiveTableName(title);
+    if (versions.length === 2) {
+        return hiveAlterTableStatements(
+            materializedSchema(versions[1]), materializedSchema(versions[0]), tableName
+        ).join('\n');
+    }
+
+    const version = versions[0] ||
+        _.last(schemaInfos.map(info => info.version).sort(semver.compare));
+    return hiveCreateTableStatement(materializedSchema(version), tableName);
+}
+
+/**
+ * Returns the path part of a URI, without its query and fragment,
+ * e.g. https://schema.example.org/basic/1.0.0#/definitions/x -> /basic/1.0.0.
+ * Relative URIs are returned as absolute paths.
+ * @param {string} uri
+ * @return {string}
+ */
+function uriPath(uri) {
+    try {
+        return new URL(uri).pathname;
+    } catch (err) {
+        // Relative URI, e.g. /basic/1.0.0#/definitions/x
+        const relativePath = uri.replace(/[?#].*$/, '');
+        return relativePath.startsWith('/') ? relativePath : `/${relativePath}`;
+    }
+}
+
+/**
+ * Returns all (non local) $ref URIs in schema.
+ * @param {Object} schema
+ * @return {Array<string>}
+ */
+function schemaRefs(schema) {
+    const refs = [];
+    traverseSchema(schema, { allKeys: true }, (obj) => {
+        if (_.isString(obj.$ref) && !obj.$ref.startsWith('#')) {
+            refs.push(obj.$ref);
+        }
+    });
+    return _.uniq(refs);
+}
+
+/**
+ * Builds the $ref dependency graph of the current schemas in options.schemaBasePath.
+ * Returns an object mapping each current schema's title to the titles of
+ * the schemas it $refs, e.g. { basic: ['common'], common: [] }.
+ * A $ref is mapped to the title of the schemas whose $ids share its parent path,
+ * e.g. /common/1.0.0 and /common/latest both map to the title of /common/1.1.0.
+ * $refs that don't match any schema are kept as their URI path.
+ * @param {Object} options
+ * @return {Object}
+ */
+function schemaDependencyGraph(options = {}) {
+    options = readConfig(options);
+    const schemaInfos = findAllSchemasInfo(options);
+
+    // Map of $id parent path (e.g. /common) to schema title.
+    const titlesByIdParent = {};
+    schemaInfos.forEach((info) => {
+        const id = _.get(info.schema, '$id');
+        if (id) {
+            titlesByIdParent[path.posix.dirname(uriPath(id))] = info.title;
+        }
+    });
+
+    const graph = {};
+    schemaInfos.filter(info => info.current).forEach((info) => {
+        const dependencies = schemaRefs(info.schema).map((ref) => {
+            const refPath = uriPath(ref);
+            return titlesByIdParent[path.posix.dirname(refPath)] || refPath;
+        });
+        graph[info.title] = _.uniq(dependencies).filter(title => title !== info.title);
+    });
+    return graph;
+}
+
+/**
+ * Returns titles and all of their (transitive) dependencies in graph,
+ * sorted so that each title comes after all of its dependencies.
+ * Throws an Error if there is a $ref dependency cycle.
+ * @param {Object} graph as returned by schemaDependencyGraph
+ * @param {Array<string>} titles defaults to all titles in graph.
+ * @return {Array<string>}
+ */
+function topologicalSchemaOrder(graph, titles = _.keys(graph)) {
+    const order = [];
+    // Titles currently being visited (in the current dependency path) are false,
+    // titles that have been added to order are true.
+    const visited = {};
+
+    function visit(title, dependencyPath) {
+        if (visited[title] === true) {
+            return;
+        } else if (visited[title] === false) {
+            const cycle = dependencyPath.slice(dependencyPath.indexOf(title)).concat(title);
+            throw new Error(`Found $ref dependency cycle: ${cycle.join(' -> ')}`);
+        }
+        visited[title] = false;
+        (graph[title] || []).forEach(dependency => visit(dependency, dependencyPath.concat(title)));
+        visited[title] = true;
+        order.push(title);
+    }
+
+    titles.forEach(title => visit(title, []));
+    return order;
+}
+
+/**
+ * Returns the titles of all schemas in graph that (transitively) $ref any of titles,
+ * sorted so that each title comes after all of its dependencies.
+ * titles themselves are not included.
+ * @param {Object} graph as returned by schemaDependencyGraph
+ * @param {Array<string>} titles
+ * @return {Array<string>}
+ */
+function schemaDependents(graph, titles) {
+    const dependents = new Set();
+
+    function visit(title) {
+        _.keys(graph).forEach((dependent) => {
+            if (graph[dependent].includes(title) && !dependents.has(dependent)) {
+                dependents.add(dependent);
+                visit(dependent);
+            }
+        });
+    }
+
+    titles.forEach(visit);
+    return topologicalSchemaOrder(graph)
+        .filter(title => dependents.has(title) && !titles.includes(title));
+}
+
+/**
+ * Sorts schemaInfos so that each schema comes after the schemas it (transitively) $refs.
+ * Throws an Error if there is a $ref dependency cycle.
+ * @param {Array<Object>} schemaInfos
+ * @param {Object} graph as returned by schemaDependencyGraph
+ * @return {Array<Object>}
+ */
+function sortSchemaInfosByDependencies(schemaInfos, graph) {
+    const order = topologicalSchemaOrder(graph, _.uniq(schemaInfos.map(info => info.title)));
+    return _.sortBy(schemaInfos, info => order.indexOf(info.title));
+}
+
+/**
+ * Formats the (transitive) $ref dependencies of title in graph.
+ * The text format is an indented tree, one title per line.
+ * The dot format is a Graphviz DOT digraph.
+ * Throws an Error if there is a $ref dependency cycle.
+ * @param {Object} graph as returned by schemaDependencyGraph
+ * @param {string} title
+ * @param {string} format text or dot
+ * @return {string}
+ */
+function formatSchemaDependencies(graph, title, format = 'text') {
+    if (!_.has(graph, title)) {
+        throw new Error(`No current schema with title ${title} was found`);
+    }
+    const titles = topologicalSchemaOrder(graph, [title]);
+
+    if (format === 'dot') {
+        const edges = _.flatMap(titles, t => (graph[t] || []).map(
+            dependency => `    ${JSON.stringify(t)} -> ${JSON.stringify(dependency)};`
+        ));
+        return [`digraph ${JSON.stringify(title)} {`, `    ${JSON.stringify(title)};`]
+            .concat(edges, '}').join('\n');
+    } else if (format !== 'text') {
+        throw new Error(`Unknown dependency graph format ${format}, must be one of text or dot`);
+    }
+
+    function tree(t, depth) {
+        return [`${'  '.repeat(depth)}${t}`].concat(
+            _.flatMap(graph[t] || [], dependency => tree(dependency, depth + 1))
+        );
+    }
+    return tree(title, 0).join('\n');
+}
+
+/**
+ * Returns schema with the version in its options.schemaVersionField set to version.
+ * Only the final basename element of the version field is the version.
+ * @param {Object} schema
+ * @param {string} version
+ * @param {Object} options
+ * @return {Object}
+ */
+function setSchemaVersion(schema, version, options = {}) {
+    options = readConfig(options);
+    const versionValue = _.get(schema, options.schemaVersionField);
+    return _.set(
+        _.cloneDeep(schema),
+        options.schemaVersionField,
+        versionValue.slice(0, versionValue.lastIndexOf('/') + 1) + version
+    );
+}
+
+/**
+ * Rewrites the version in options.schemaVersionField of the schema file at schemaPath
+ * to version.  The text of the file is rewritten rather than serializing the schema,
+ * so that comments and formatting are kept.
+ * @param {string} schemaPath
+ * @param {Object} schema the schema read from schemaPath
+ * @param {string} version
+ * @param {Object} options
+ * @return {Promise<boolean>} true if schemaPath was rewritten, false if options.dryRun.
+ */
+async function writeSchemaVersion(schemaPath, schema, version, options = {}) {
+    options = readConfig(options);
+    const currentVersionValue = _.get(schema, options.schemaVersionField);
+    const versionValue = _.get(
+        setSchemaVersion(schema, version, options), options.schemaVersionField
+    );
+
+    if (options.dryRun) {
+        options.log.info(
+            `--dry-run: Would have rewritten ${currentVersionValue} to ${versionValue} ` +
+            `in ${schemaPath}.`
+        );
+        return false;
+    }
+    const content = await fse.readFile(schemaPath, 'utf-8');
+    await fse.writeFile(schemaPath, content.replace(
+        new RegExp(`${_.escapeRegExp(currentVersionValue)}(?![\\w.-])`, 'g'),
+        versionValue
+    ));
+    options.log.info(`Rewrote ${currentVersionValue} to ${versionValue} in ${schemaPath}.`);
+    return true;
+}
+
+/**
+ * Returns the version the current schema in schemaInfo needs to be bumped to, so that
+ * materializing it does not modify its already published (committed to git) version,
+ * e.g. because a schema it $refs has changed.  Returns null if its version is not
+ * published yet, or if materializing it would not change the published version.
+ * @param {Object} schemaInfo
+ * @param {Object} options
+ * @return {Promise<string|null>}
+ */
+async function publishedSchemaVersionBump(schemaInfo, options = {}) {
+    options = readConfig(options);
+    const publishedPath = path.join(
+        path.dirname(schemaInfo.path), `${schemaInfo.version}.${options.contentTypes[0]}`
+    );
+    const publishedContent = await gitFileContent(publishedPath, 'HEAD', options);
+    if (publishedContent === null) {
+        return null;
+    }
+
+    const bump = schemaVersionBump(
+        await materializeSchema(_.cloneDeep(schemaInfo.schema), options),
+        yaml.safeLoad(publishedContent),
+        options
+    );
+    return bump && semver.inc(schemaInfo.version, bump);
+}
+
+/**
+ * Materializes the schemas in schemaInfos, in order.  All schemas are prepared and checked
+ * (see prepareMaterializedSchema) before any of them is written, so that nothing is
+ * materialized if any of them can't be.  Schemas that $ref schemas earlier in schemaInfos
+ * are dereferenced with those as they will be materialized.
+ *
+ * The versions of the schemas in bumpSchemaPaths are bumped (in their current schema
+ * files too) if materializing them would otherwise modify their published version,
+ * see publishedSchemaVersionBump.  This is used for schemas that $ref modified schemas.
+ *
+ * @param {Array<Object>} schemaInfos in $ref dependency order
+ * @param {Object} options
+ * @param {Array<string>} bumpSchemaPaths
+ * @return {Promise<Array<string>>} List of files that were generated
+ */
+async function materializeSchemaInfos(schemaInfos, options = {}, bumpSchemaPaths = []) {
+    options = readConfig(options);
+    const pendingSchemaFiles = new Map();
+    const bumpedVersions = new Map();
+
+    const materializedSchemas = await Promise.mapSeries(schemaInfos, async (schemaInfo) => {
+        const schemaDirectory = path.dirname(schemaInfo.path);
+        let schema = schemaInfo.schema;
+        if (bumpSchemaPaths.includes(schemaInfo.path) && !options.forceOverwrite) {
+            const bumpedVersion = await publishedSchemaVersionBump(
+                schemaInfo, { ...options, pendingSchemaFiles }
+            );
+            if (bumpedVersion) {
+                options.log.info(
+                    `Bumping version of ${schemaInfo.path} from ${schemaInfo.version} to ` +
+                    `${bumpedVersion}, so that its published version is not modified.`
+                );
+                schema = setSchemaVersion(schema, bumpedVersion, options);
+                bumpedVersions.set(schemaInfo.path, bumpedVersion);
+            }
+        }
+
+        options.log.info(`Materializing ${schemaInfo.path}...`);
+        const materialized = await prepareMaterializedSchema(
+            schemaDirectory, schema, { ...options, pendingSchemaFiles }
+        );
+
+        const { version } = materialized;
+        const latestVersion = _.last(materializedSchemaVersions(schemaDirectory, options));
+        const isLatest = options.shouldSymlinkLatest &&
+            (!latestVersion || semver.gte(version, latestVersion));
+        options.contentTypes.forEach((contentType, i) => {
+            const content = serialize(materialized.schema, contentType);
+            const fileNames = [`${version}.${contentType}`].concat(
+                isLatest ? [`latest.${contentType}`] : [],
+                i === 0 && options.shouldSymlinkExtensionless ? [version] : [],
+                i === 0 && options.shouldSymlinkExtensionless && isLatest ? ['latest'] : []
+            );
+            fileNames.forEach((fileName) => {
+                pendingSchemaFiles.set(path.resolve(schemaDirectory, fileName), content);
+            });
+        });
+        return materialized;
+    });
+
+    return _.flatten(await Promise.mapSeries(schemaInfos, async (schemaInfo, i) => {
+        const files = [];
+        if (bumpedVersions.has(schemaInfo.path)) {
+            const written = await writeSchemaVersion(
+                schemaInfo.path, schemaInfo.schema, bumpedVersions.get(schemaInfo.path), options
+            );
+            if (written) {
+                files.push(schemaInfo.path);
+            }
+        }
+        return files.concat(await writeMaterializedSchema(materializedSchemas[i], options));
+    }));
+}
+
+/**
+ * Finds modified 'current' schema files in options.schemaBasePath and materializes them.
+ * Schemas are materialized in $ref dependency order, so that schemas are materialized
+ * after the modified schemas they $ref.  Current schemas that (transitively) $ref
+ * a modified schema are also materialized if options.shouldMaterializeDependents,
+ * else they are logged as possibly needing to be re-materialized.  If the published
+ * version of a dependent would change, its version is bumped (in its current schema
+ * file too) by the minimum needed (see schemaVersionBump).
+ * If any schema fails the materialization checks, none are materialized
+ * (see materializeSchemaInfos).
+ *
+ * @param {Object} options
+ * @return {Promise<Array<string>>} List of files that were generated
+ */
+async function materializeModifiedSchemas(options = {}) {
+    options = readConfig(options);
+
+    options.log.info(`Looking for modified ${options.currentName} schema files in ${options.schemaBasePath}`);
+    const schemaPaths = await gitModifiedCurrentSchemaPaths(options);
+
+    if (_.isEmpty(schemaPaths)) {
+        options.log.info(`No modified ${options.currentName} schema files were found.`);
+        return [];
+    } else {
+        const graph = schemaDependencyGraph(options);
+        let schemaInfos = schemaPaths.map(schemaPath => schemaPathToInfo(schemaPath, options));
+
+        const dependentTitles = schemaDependents(graph, schemaInfos.map(info => info.title));
+        const dependentInfos = findAllSchemasInfo(options).filter(info => info.current &&
+            dependentTitles.includes(info.title) && !schemaPaths.includes(info.path));
+        if (!_.isEmpty(dependentInfos)) {
+            const dependentPaths = dependentInfos.map(info => info.path);
+            if (options.shouldMaterializeDependents) {
+                options.log.info(`Also materializing schemas that $ref modified schemas: ${dependentPaths}`);
+                schemaInfos = schemaInfos.concat(dependentInfos);
+            } else {
+                options.log.warn(
+                    'These schemas $ref modified schemas and may need to be re-materialized ' +
+                    `(see shouldMaterializeDependents): ${dependentPaths}`
+                );
+            }
+        }
+        const sortedSchemaInfos = sortSchemaInfosByDependencies(schemaInfos, graph);
+
+        const generatedFiles = await materializeSchemaInfos(
+            sortedSchemaInfos, options, dependentInfos.map(info => info.path)
+        );
+
+        if (options.shouldGitAdd && !options.dryRun) {
+            options.log.info(`New schema files have been materialized. Adding them to git: ${generatedFiles}`);
+            try {
+                await gitAdd(generatedFiles, options);
+            } catch (err) {
+                options.log.error(err, 'Failed git add of newly materialized schema files.');
+                throw err;
+            }
+        }
+        return generatedFiles;
+    }
+}
+
 /**
  * Finds all current schema files in options.schemasBasePath and materializes them.
+ * If any schema fails the materialization checks, none are materialized
+ * (see materializeSchemaInfos).
  * @param {Object} options
  * @return {Array} generated schema file paths
  */
 async function materializeAllSchemas(options = {}) {
     options = readConfig(options);
-    const currentSchemasInfo = findAllSchemasInfo(options).filter(e => e.current);
+    const currentSchemasInfo = sortSchemaInfosByDependencies(
+        findAllSchemasInfo(options).filter(e => e.current), schemaDependencyGraph(options)
+    );
+
+    return materializeSchemaInfos(currentSchemasInfo, options);
+}
+
+/**
+ * Returns the path of the latest materialized schema version in schemaDirectory.
+ * This is the latest.<contentType> symlink if it exists, otherwise
+ * the versioned file of the first content type with the greatest version.
+ * @param {string} schemaDirectory
+ * @param {Object} options
+ * @return {string|undefined} undefined if there are no materialized versions.
+ */
+function latestSchemaPath(schemaDirectory, options = {}) {
+    options = readConfig(options);
+    const latestSymlinkPath = path.join(schemaDirectory, `latest.${options.contentTypes[0]}`);
+    if (fse.existsSync(latestSymlinkPath)) {
+        return latestSymlinkPath;
+    }
+
+    const latestVersion = _.last(materializedSchemaVersions(schemaDirectory, options));
+    return latestVersion &&
+        path.join(schemaDirectory, `${latestVersion}.${options.contentTypes[0]}`);
+}
+
+/**
+ * Compares the materialized current schema at schemaPath with the latest
+ * materialized version in the same directory, and suggests the minimum
+ * semantic version the current schema should have.
+ * If options.shouldWriteVersion and the current schema's version is lower than the
+ * suggested version, the version in options.schemaVersionField will be rewritten
+ * in place in the schemaPath file.
+ *
+ * Returns a suggestion object like:
+ * {
+ *  path: '/path/to/schema/title/current.yaml',
+ *  currentVersion: '1.1.0',  // version in the current schema
+ *  latestVersion: '1.1.0',   // version of the latest materialized schema, or null
+ *  bump: 'minor',            // major, minor, patch, or null if nothing changed
+ *  suggestedVersion: '1.2.0',
+ *  written: true,            // true if the current schema's version was rewritten
+ * }
+ *
+ * @param {string} schemaPath path to a current schema file
+ * @param {Object} options
+ * @return {Promise<Object>}
+ */
+async function suggestSchemaVersion(schemaPath, options = {}) {
+    options = readConfig(options);
+
+    const schema = await readObject(schemaPath);
+    const currentVersion = schemaVersion(schema, options.schemaVersionField);
+    const suggestion = {
+        path: schemaPath,
+        currentVersion,
+        latestVersion: null,
+        bump: null,
+        suggestedVersion: currentVersion,
+        written: false,
+    };
+
+    const latestPath = latestSchemaPath(path.dirname(schemaPath), options);
+    if (!latestPath) {
+        options.log.info(`No materialized versions of ${schemaPath} were found.`);
+        return suggestion;
+    }
+
+    const latestSchema = await readObject(latestPath);
+    suggestion.latestVersion = schemaVersion(latestSchema, options.schemaVersionField);
+    suggestion.bump = schemaVersionBump(
+        await materializeSchema(schema, options), latestSchema, options
+    );
+    suggestion.suggestedVersion = suggestion.bump ?
+        semver.inc(suggestion.latestVersion, suggestion.bump) :
+        suggestion.latestVersion;
+
+    if (options.shouldWriteVersion && semver.lt(currentVersion, suggestion.suggestedVersion)) {
+        suggestion.written = await writeSchemaVersion(
+            schemaPath, schema, suggestion.suggestedVersion, options
+        );
+    }
 
-    return _.flatten(await Promise.all(_.map(
-        currentSchemasInfo,
-        info => materializeSchemaToPath(path.dirname(info.path), info.schema, options)
-    )));
+    return suggestion;
 }
 
 /**
@@ -1268,15 +3346,32 @@ async function printDiffForGitModifiedVersionedSchemas(options = {}) {
 
 module.exports = {
     defaultOptions,
+    defaultOptionsDocs,
     readObject,
+    yamlNodeTree,
+    schemaSourceLocation,
+    formatSourceLocation,
     serialize,
     serializers,
     readConfig,
+    findGitRoot,
     gitAdd,
+    gitFileContent,
+    gitFirstCommits,
     installGitHook,
     getSchemaById,
     dereferenceSchema,
+    dereferenceSchemaWithReport,
+    formatRefResolutions,
     materializeSchema,
+    enforceNumericBounds,
+    generateSchemaExamples,
+    schemaDraft,
+    createAjv,
+    createEventValidator,
+    parseEvents,
+    validateEvents,
+    formatEventValidationErrors,
     materializeSchemaToPath,
     materializeSchemaVersion,
     materializeModifiedSchemas,
@@ -1287,7 +3382,19 @@ module.exports = {
     findAllSchemasInfo,
     findSchemasByTitle,
     findSchemasByTitleAndMajor,
+    uriPath,
+    schemaDependencyGraph,
+    schemaDependents,
+    formatSchemaDependencies,
     schemaVersion,
+    schemaCompatibilityMode,
+    checkCompatibility,
+    locateCompatibilityViolations,
+    formatCompatibilityViolations,
+    suggestSchemaVersion,
+    schemaToAvro,
+    schemaToTypeScript,
+    schemaHiveDdl,
     diff,
     printDiffForGitModifiedVersionedSchemas
 };
@@ -0,0 +1,353 @@
+'use strict';
+
+const _ = require('lodash');
+const fse = require('fs-extra');
+const yaml = require('js-yaml');
+const {
+    readConfig,
+    readObject,
+    yamlNodeTree,
+    serialize,
+    schemaSourceLocation,
+    formatSourceLocation,
+    dereferenceSchema,
+    schemaPathToInfo,
+    findAllSchemasInfo,
+} = require('./jsonschema-tools.js');
+const { robustnessTestCases } = require('./tests/robustness');
+const {
+    shouldDeclareTestCase,
+    shouldSkipTestCase,
+} = require('./tests/util');
+
+/**
+ * Returns the robustness rules selected by options.lintRules and options.lintIgnoreRules.
+ * @param {Object} options
+ * @return {Array<Object>}
+ */
+function lintRules(options) {
+    const rules = robustnessTestCases(options);
+    const ruleNames = rules.map(rule => rule.name);
+    const unknownRuleNames = _.difference(
+        _.union(options.lintRules || [], options.lintIgnoreRules || []), ruleNames
+    );
+    if (!_.isEmpty(unknownRuleNames)) {
+        throw new Error(
+            `Unknown robustness rules ${unknownRuleNames.join(', ')}, ` +
+            `must be some of ${ruleNames.join(', ')}`
+        );
+    }
+    return rules.filter((rule) => {
+        return (_.isEmpty(options.lintRules) || options.lintRules.includes(rule.name)) &&
+            !(options.lintIgnoreRules || []).includes(rule.name);
+    });
+}
+
+/**
+ * Returns the paths of the current schema files to lint for schemaPaths.
+ * Directories are searched for current schema files.  If schemaPaths is empty,
+ * options.schemaBasePath is.
+ * @param {Array<string>} schemaPaths
+ * @param {Object} options
+ * @return {Array<string>}
+ */
+function currentSchemaPaths(schemaPaths, options) {
+    if (_.isEmpty(schemaPaths)) {
+        schemaPaths = [options.schemaBasePath];
+    }
+    return _.flatMap(schemaPaths, (schemaPath) => {
+        if (!fse.statSync(schemaPath).isDirectory()) {
+            return [schemaPath];
+        }
+        return findAllSchemasInfo({ ...options, schemaBasePath: schemaPath })
+            .filter(info => info.current)
+            .map(info => info.path);
+    });
+}
+
+/**
+ * Serializes value as YAML on a single line, e.g. { a: [1] } -> {a: [1]}.
+ * @param {*} value
+ * @return {string}
+ */
+function flowYaml(value) {
+    return yaml.safeDump(value, { flowLevel: 0 }).trimEnd();
+}
+
+/**
+ * Returns yaml text with the changes from the object it was parsed from to fixedObject applied
+ * in place, so that the text of unchanged nodes, including comments, is kept as it is.
+ * Keys and items removed from mappings and sequences are deleted, keys added to mappings are
+ * appended to them, and other changed nodes are replaced with their new value.
+ * Constructs that are not edited exactly (e.g. merge keys) may result in text that does not
+ * parse as fixedObject, so the result must be checked.
+ * @param {string} text
+ * @param {Object} fixedObject
+ * @return {string}
+ */
+function editedYamlText(text, fixedObject) {
+    const lineStart = offset => text.lastIndexOf('\n', offset - 1) + 1;
+    const nextLineStart = (offset) => {
+        const newline = text.indexOf('\n', offset);
+        return newline === -1 ? text.length : newline + 1;
+    };
+    const leadingSpaceRegex = /(?:\s|#[^\n]*)*/y;
+    const isFlow = node => '[{'.includes(text[node.start]);
+
+    // Sets the { start, end } offsets of the nodes' text, without surrounding whitespace and
+    // comments.  Block collections span from their first to their last child.
+    function setSpans(node) {
+        leadingSpaceRegex.lastIndex = node.offset;
+        leadingSpaceRegex.exec(text);
+        node.start = Math.min(leadingSpaceRegex.lastIndex, node.end);
+        node.end = node.start + text.slice(node.start, node.end).trimEnd().length;
+        node.children.forEach(setSpans);
+        if (!isFlow(node) && !_.isEmpty(node.children)) {
+            node.start = node.children[0].start;
+            node.end = _.last(node.children).end;
+        }
+    }
+
+    const edits = [];
+    // Deletes the entries (key and value, or item) of a collection at indexes.
+    function deleteEntries(node, entries, indexes) {
+        indexes.forEach((i) => {
+            const [first, last] = [_.first(entries[i]), _.last(entries[i])];
+            if (!isFlow(node)) {
+                edits.push({ start: lineStart(first.start), end: nextLineStart(last.end), text: '' });
+            } else if (i < entries.length - 1) {
+                edits.push({ start: first.start, end: entries[i + 1][0].start, text: '' });
+            } else if (i > 0) {
+                edits.push({ start: _.last(entries[i - 1]).end, end: last.end, text: '' });
+            } else {
+                edits.push({ start: first.start, end: last.end, text: '' });
+            }
+        });
+    }
+    // Appends the keys of fixedValue in keys to a mapping.
+    function appendKeys(node, fixedValue, keys) {
+        if (isFlow(node)) {
+            const entries = keys.map(key => `${flowYaml(key)}: ${flowYaml(fixedValue[key])}`);
+            const separator = _.isEmpty(node.children) ? '' : ', ';
+            edits.push({
+                start: node.end - 1, end: node.end, text: `${separator}${entries.join(', ')}}`
+            });
+            return;
+        }
+        const keyStart = node.children[0].start;
+        const indent = ' '.repeat(keyStart - lineStart(keyStart));
+        const lines = yaml.safeDump(_.pick(fixedValue, keys)).replace(/^(?=.)/gm, indent);
+        const start = nextLineStart(node.end);
+        const separator = start === text.length && !text.endsWith('\n') ? '\n' : '';
+        edits.push({ start, end: start, text: `${separator}${lines}` });
+    }
+    function edit(node, fixedValue) {
+        const value = node.result;
+        if (_.isEqual(value, fixedValue)) {
+            return;
+        }
+        if (node.kind === 'mapping' && _.isPlainObject(fixedValue)) {
+            const entries = _.chunk(node.children, 2);
+            const keys = entries.map(([keyNode]) => String(keyNode.result));
+            const removedIndexes = _.range(keys.length).filter(i => !_.has(fixedValue, keys[i]));
+            deleteEntries(node, entries, removedIndexes);
+            entries.forEach(([, valueNode], i) => {
+                if (valueNode && _.has(fixedValue, keys[i])) {
+                    edit(valueNode, fixedValue[keys[i]]);
+                }
+            });
+            const addedKeys = _.difference(_.keys(fixedValue), keys);
+            if (!_.isEmpty(addedKeys)) {
+                appendKeys(node, fixedValue, addedKeys);
+            }
+            return;
+        }
+        if (node.kind === 'sequence' && Array.isArray(fixedValue)) {
+            if (value.length === fixedValue.length) {
+                node.children.forEach((item, i) => edit(item, fixedValue[i]));
+                return;
+            }
+            // Delete the items that are not in fixedValue, if it only has items removed.
+            let fixedIndex = 0;
+            const removedIndexes = _.range(value.length).filter((i) => {
+                if (_.isEqual(value[i], fixedValue[fixedIndex])) {
+                    fixedIndex++;
+                    return false;
+                }
+                return true;
+            });
+            if (fixedIndex === fixedValue.length) {
+                deleteEntries(node, node.children.map(item => [item]), removedIndexes);
+                return;
+            }
+        }
+        edits.push({ start: node.start, end: node.end, text: flowYaml(fixedValue) });
+    }
+
+    const root = yamlNodeTree(text);
+    setSpans(root);
+    edit(root, fixedObject);
+    // Edits are applied from the end of text, so that their offsets stay valid.
+    // Edits at the same offset are applied in reverse, so that e.g. keys appended to
+    // a nested mapping come before keys appended to its parent.
+    return edits.map((e, i) => [e, i])
+        .sort(([a, i], [b, j]) => b.start - a.start || j - i)
+        .reduce((result, [e]) => result.slice(0, e.start) + e.text + result.slice(e.end), text);
+}
+
+/**
+ * Returns the text of a schema file with the changes to fixedSchema applied.
+ * YAML is edited in place, so that its comments and formatting are kept, see editedYamlText.
+ * JSON can't have comments, and is rewritten with the same indentation.
+ * @param {string} text
+ * @param {Object} fixedSchema
+ * @param {string} contentType
+ * @return {string}
+ */
+function fixedSchemaText(text, fixedSchema, contentType) {
+    if (contentType === 'json') {
+        const indent = (text.match(/^[ \t]+(?=")/m) || ['  '])[0];
+        return JSON.stringify(fixedSchema, null, indent) + (text.endsWith('\n') ? '\n' : '');
+    }
+    return editedYamlText(text, fixedSchema);
+}
+
+/**
+ * Returns true if yaml (or json) text parses as object.
+ * @param {string} text
+ * @param {Object} object
+ * @return {boolean}
+ */
+function isParsedAs(text, object) {
+    try {
+        return _.isEqual(yaml.safeLoad(text), object);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Lints a current schema file, see lintSchemas.
+ * @param {string} schemaPath
+ * @param {Array<Object>} rules
+ * @param {Object} options
+ * @return {Promise<Object>} { path, title, fixed, violations }
+ */
+async function lintSchema(schemaPath, rules, options) {
+    const schemaInfo = schemaPathToInfo(schemaPath, options);
+    let schema = schemaInfo.schema;
+
+    // Rules are checked against the dereferenced schema, i.e. what would be materialized.
+    // Rules that are not checked for current schemas, because their $refs have not
+    // been dereferenced, are checked too.
+    const dereferenceSchemaInfo = async () => ({
+        ...schemaInfo,
+        current: false,
+        schema: await dereferenceSchema(_.cloneDeep(schema), options),
+    });
+    // Only the rules that are checked for the schema are used to fix it.
+    const checkedRules = info => rules.filter(rule => shouldDeclareTestCase(rule, info, options) &&
+        !shouldSkipTestCase(rule, info, options)
+    );
+    let dereferencedSchemaInfo = await dereferenceSchemaInfo();
+
+    const fixed = [];
+    if (options.shouldFixLint) {
+        let fixedSchema = schema;
+        checkedRules(dereferencedSchemaInfo).filter(rule => rule.fixFn).forEach((rule) => {
+            const ruleFixedSchema = rule.fixFn(fixedSchema, options);
+            if (!_.isEqual(ruleFixedSchema, fixedSchema)) {
+                fixedSchema = ruleFixedSchema;
+                fixed.push(rule.name);
+            }
+        });
+        if (!_.isEmpty(fixed)) {
+            options.log.info(`Fixing ${fixed.join(', ')} in ${schemaPath}`);
+            const text = await fse.readFile(schemaPath, 'utf-8');
+            let fixedText = fixedSchemaText(text, fixedSchema, schemaInfo.contentType);
+            if (!isParsedAs(fixedText, fixedSchema)) {
+                options.log.warn(
+                    `Could not fix ${schemaPath} in place, rewriting it without its comments`
+                );
+                fixedText = serialize(fixedSchema, schemaInfo.contentType);
+            }
+            await fse.writeFile(schemaPath, fixedText);
+            // Read the fixed file again to locate violations in it.
+            schema = await readObject(schemaPath);
+            dereferencedSchemaInfo = await dereferenceSchemaInfo();
+        }
+    }
+
+    const violations = [];
+    checkedRules(dereferencedSchemaInfo).forEach((rule) => {
+        try {
+            rule.assertFn(dereferencedSchemaInfo.schema, options);
+        } catch (err) {
+            const violation = { rule: rule.name, message: err.message };
+            // Rules may set the JSON pointer of the failing node as err.path.
+            if (_.isString(err.path)) {
+                violation.path = err.path;
+                violation.location = schemaSourceLocation(schema, err.path, options);
+            }
+            violations.push(violation);
+        }
+    });
+
+    return { path: schemaPath, title: schemaInfo.title, fixed, violations };
+}
+
+/**
+ * Checks current schema files against the robustness rules (the robustness test cases,
+ * including custom robustnessRules), before they are materialized.
+ * schemaPaths may be current schema files, or directories in which to find them.
+ * If none are given, all current schemas in options.schemaBasePath are linted.
+ *
+ * Only the rules in options.lintRules (or all if empty) that are not in
+ * options.lintIgnoreRules are checked, and skipSchemaTestCases is honored.
+ * If options.shouldFixLint, the checked rules with a fixFn fix the current schema files
+ * first.  YAML files are fixed in place, keeping their comments and the formatting of the
+ * nodes that are not fixed.
+ * Violations of rules that set the JSON pointer of the failing node as err.path
+ * are located in the source file, see schemaSourceLocation.
+ *
+ * @param {Array<string>} schemaPaths
+ * @param {Object} options
+ * @return {Promise<Array<Object>>}
+ *  For each current schema file: { path, title, fixed, violations },
+ *  where fixed is a list of fixed rule names and violations a list of
+ *  { rule, message, path, location }.  location is { file, line, column }.
+ */
+async function lintSchemas(schemaPaths = [], options = {}) {
+    options = readConfig(options);
+    const rules = lintRules(options);
+
+    const results = [];
+    for (const schemaPath of currentSchemaPaths(schemaPaths, options)) {
+        results.push(await lintSchema(schemaPath, rules, options));
+    }
+    return results;
+}
+
+/**
+ * Formats lintSchemas violations, one per line, as file:line:column: message (rule),
+ * or path: message (rule) if the violation's location is not known.
+ * Violations located in a $ref'd schema file also name the linted schema file.
+ * @param {Array<Object>} results
+ * @return {string}
+ */
+function formatLintViolations(results) {
+    return _.flatMap(results, result => result.violations.map((violation) => {
+        const message = violation.message.replace(/\s+/g, ' ').trim();
+        if (!violation.location) {
+            return `${result.path}: ${message} (${violation.rule})`;
+        }
+        const refdBy = violation.location.file === result.path ?
+            '' : `, $ref'd by ${result.path}`;
+        return `${formatSourceLocation(violation.location)}: ${message} (${violation.rule}${refdBy})`;
+    })).join('\n');
+}
+
+module.exports = {
+    lintSchemas,
+    formatLintViolations,
+};
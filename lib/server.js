@@ -0,0 +1,180 @@
+'use strict';
+
+const _ = require('lodash');
+const http = require('http');
+const path = require('path');
+const semver = require('semver');
+const {
+    readConfig,
+    defaultOptions,
+    findAllSchemasInfo,
+    serialize,
+    uriPath,
+} = require('./jsonschema-tools.js');
+
+/**
+ * Map of content type (as in options.contentTypes) to the HTTP media type it is served as.
+ */
+const contentTypeMediaTypes = {
+    yaml: 'application/x-yaml',
+    json: 'application/json',
+};
+
+/**
+ * Map of HTTP media types in Accept headers to the content type they negotiate.
+ */
+const mediaTypeContentTypes = {
+    'application/json': 'json',
+    'application/x-yaml': 'yaml',
+    'application/yaml': 'yaml',
+    'text/yaml': 'yaml',
+    'text/x-yaml': 'yaml',
+};
+
+/**
+ * Returns the content type (yaml or json) to respond with for an Accept header.
+ * Media types are tried in order of their q value, and
+ * defaultContentType is used if none of them are known.
+ * @param {string} accept Accept header value
+ * @param {string} defaultContentType
+ * @return {string}
+ */
+function negotiateContentType(accept, defaultContentType) {
+    const mediaTypes = (accept || '').split(',').map((mediaRange) => {
+        const [mediaType, ...params] = mediaRange.trim().split(';');
+        const qParam = params.find(param => param.trim().startsWith('q='));
+        return {
+            mediaType: mediaType.trim().toLowerCase(),
+            q: qParam ? parseFloat(qParam.trim().slice(2)) : 1,
+        };
+    });
+    const negotiated = _.sortBy(mediaTypes, m => -m.q)
+        .find(m => m.q > 0 && _.has(mediaTypeContentTypes, m.mediaType));
+    return negotiated ? mediaTypeContentTypes[negotiated.mediaType] : defaultContentType;
+}
+
+/**
+ * Finds all materialized (non current) schemas in options.schemaBasePath and indexes them
+ * by the path of their $id, and by their $id's parent path + /latest for the
+ * schema with the greatest version.
+ * @param {Object} options
+ * @return {Object} { schemas: { path: schema }, versions: { title: [versions] } }
+ */
+function schemaRegistryIndex(options) {
+    const schemaInfos = findAllSchemasInfo(options)
+        .filter(info => !info.current && _.has(info.schema, '$id'));
+
+    const schemas = {};
+    const latestInfos = {};
+    const versions = {};
+    schemaInfos.forEach((info) => {
+        const idPath = uriPath(info.schema.$id);
+        schemas[idPath] = info.schema;
+
+        const latestPath = `${path.posix.dirname(idPath)}/latest`;
+        if (!latestInfos[latestPath] || semver.gt(info.version, latestInfos[latestPath].version)) {
+            latestInfos[latestPath] = info;
+        }
+
+        versions[info.title] = _.union(versions[info.title] || [], [info.version]);
+    });
+
+    _.forEach(latestInfos, (info, latestPath) => {
+        schemas[latestPath] = info.schema;
+    });
+    _.forEach(versions, titleVersions => titleVersions.sort(semver.compare));
+    return { schemas, versions };
+}
+
+/**
+ * Creates an HTTP server that serves the materialized schemas found in
+ * options.schemaBasePath as a schema registry.  Schemas are served at the path
+ * of their $id, e.g. /basic/1.0.0, and the latest version of a schema is
+ * also served at e.g. /basic/latest.
+ *
+ * Content negotiation is done with the Accept header, or with a .yaml or .json
+ * extension on the path, e.g. /basic/1.0.0.json.  If neither is given,
+ * the first of options.contentTypes is used.
+ *
+ * GET / responds with all schema titles and their versions, and GET /<title>
+ * responds with the versions of the schema with that title.
+ *
+ * Schemas are indexed when the server is created, and looked up again in
+ * options.schemaBasePath by the first request after options.serverIndexTtl seconds,
+ * so newly materialized schemas are served without restarting the server.
+ * The returned server is not listening yet; call server.listen(port).
+ *
+ * @param {Object} options
+ * @return {http.Server}
+ */
+function createSchemaServer(options = {}) {
+    // readConfig only merges defaultOptions the first time it reads the config, and options
+    // like serverIndexTtl and contentTypes must be set for the whole life of the server.
+    options = _.defaults({}, readConfig(options), defaultOptions);
+    const log = options.log;
+
+    let index = schemaRegistryIndex(options);
+    let indexedAt = Date.now();
+    function currentIndex() {
+        if (Date.now() - indexedAt >= options.serverIndexTtl * 1000) {
+            log.debug(`Indexing schemas in ${options.schemaBasePath}`);
+            index = schemaRegistryIndex(options);
+            indexedAt = Date.now();
+        }
+        return index;
+    }
+
+    return http.createServer((req, res) => {
+        let contentType = negotiateContentType(req.headers.accept, options.contentTypes[0]);
+
+        function respond(statusCode, body, headers = {}) {
+            res.writeHead(statusCode, {
+                'Content-Type': contentTypeMediaTypes[contentType],
+                ...headers
+            });
+            res.end(req.method === 'HEAD' ? undefined : serialize(body, contentType));
+            log.debug(`${req.method} ${req.url} ${statusCode}`);
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return respond(405, { error: `Method ${req.method} is not allowed` }, { Allow: 'GET, HEAD' });
+        }
+
+        let requestPath;
+        try {
+            requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            // E.g. a URIError for malformed percent-encoding.
+            return respond(400, { error: `Invalid request path ${req.url}: ${err.message}` });
+        }
+
+        try {
+            const extension = path.posix.extname(requestPath).slice(1);
+            if (_.has(contentTypeMediaTypes, extension)) {
+                contentType = extension;
+                requestPath = requestPath.slice(0, -(extension.length + 1));
+            }
+            if (requestPath.length > 1 && requestPath.endsWith('/')) {
+                requestPath = requestPath.slice(0, -1);
+            }
+
+            const index = currentIndex();
+            const title = requestPath.slice(1);
+            if (requestPath === '/') {
+                return respond(200, index.versions);
+            } else if (_.has(index.schemas, requestPath)) {
+                return respond(200, index.schemas[requestPath]);
+            } else if (_.has(index.versions, title)) {
+                return respond(200, index.versions[title]);
+            }
+            return respond(404, { error: `No schema found at ${requestPath}` });
+        } catch (err) {
+            log.error(err, `Failed serving ${req.url}`);
+            return respond(500, { error: err.message });
+        }
+    });
+}
+
+module.exports = {
+    createSchemaServer,
+};
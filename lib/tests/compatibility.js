@@ -8,103 +8,24 @@ const {
 const _ = require('lodash');
 const assert = require('assert').strict;
 
-// TODO: move these functions into tools module instead of tests?
 /**
- * These fields are allowed to change between versions.
+ * Asserts that newSchema is backwards compatible with oldSchema.
+ * Throws a single AssertionError listing all compatibility violations found.
+ * @param {Object} newSchema
+ * @param {Object} oldSchema
+ * @param {Object} options
  */
-const FIELDS_ALLOWED_TO_CHANGE = [
-    '$id',
-    'description',
-    'examples'
-];
-
-function isAllowedToChange(fieldName) {
-    return FIELDS_ALLOWED_TO_CHANGE.indexOf(fieldName) !== -1;
-}
-
-function assertRequiredCompatible(newRequired, oldRequired, path) {
-    if (oldRequired && !newRequired) {
-        throw new assert.AssertionError({
-            message: `Removed list of required properties at: ${path}`,
-            expected: oldRequired,
-            actual: newRequired
-        });
-    }
-
-    if (!_.isEqual(newRequired.sort(), oldRequired.sort())) {
+function assertCompatible(newSchema, oldSchema, options = {}) {
+    const violations = jsonschemaTools.locateCompatibilityViolations(
+        jsonschemaTools.checkCompatibility(newSchema, oldSchema, options),
+        newSchema, oldSchema, options
+    );
+    if (!_.isEmpty(violations)) {
         throw new assert.AssertionError({
-            message: `Requiredness of properties cannot be modified at: ${path}`,
-            expected: oldRequired,
-            actual: newRequired
-        });
-    }
-}
-
-/**
- * Asserts that newEnum is a superset of oldEnum
- * @param {Array} newEnum
- * @param {Array} oldEnum
- * @param {string} path
- */
-function assertEnumCompatible(newEnum, oldEnum, path) {
-    if (oldEnum && !newEnum) {
-        throw new assert.AssertionError({
-            message: `Removed enum at: ${path}`,
-            expected: oldEnum,
-            actual: newEnum
-        });
-    }
-
-    if (!oldEnum.every(e => newEnum.includes(e))) {
-        throw new assert.AssertionError({
-            message: `New enum is not superset of old enum at: ${path}`,
-            expected: oldEnum,
-            actual: newEnum
-        });
-    }
-}
-
-function assertCompatible(newSchema, oldSchema, path = '') {
-    if (typeof newSchema !== typeof oldSchema ||
-        Array.isArray(newSchema) !== Array.isArray(oldSchema)) {
-        throw new assert.AssertionError({
-            message: `Error at path: ${path}`,
-            expected: oldSchema,
-            actual: newSchema || {}
-        });
-    } else if (typeof oldSchema === 'object') {
-        // Go recursively
-        for (const key of Object.keys(oldSchema)) {
-            if (isAllowedToChange(key)) {
-                continue;
-            }
-
-            switch (key) {
-                case 'required':
-                    assertRequiredCompatible(newSchema.required, oldSchema.required, `${path}.${key}`);
-                    break;
-                case 'enum':
-                    assertEnumCompatible(newSchema.enum, oldSchema.enum, path);
-                    break;
-                default:
-                    // If the field is in both schemas, must be compatible
-                    if (key in newSchema) {
-                        assertCompatible(newSchema[key], oldSchema[key], `${path}.${key}`);
-                    } else {
-                        throw new assert.AssertionError({
-                            message: `Error at path: ${path}.${key}`,
-                            expected: oldSchema,
-                            actual: newSchema
-                        });
-                    }
-                    break;
-            }
-        }
-    } else if (newSchema !== oldSchema) {
-        throw new assert.AssertionError({
-            message: `Error at path: ${path}`,
-            expected: oldSchema,
-            actual: newSchema
+            message: `Found ${violations.length} compatibility violations:\n` +
+                jsonschemaTools.formatCompatibilityViolations(violations),
+            expected: [],
+            actual: violations
         });
     }
 }
@@ -114,7 +35,13 @@ const compatibilityTestCase = {
     name: 'schema-version-compatibility'
 };
 
-function declareTests(options = { logLevel: 'warn' }) {
+/**
+ * Declares the tests with mocha's describe and it, or with
+ * another harness that provides them (see runner.js).
+ * @param {Object} options
+ * @param {Object} harness { describe, it }
+ */
+function declareTests(options = { logLevel: 'warn' }, { describe, it } = global) {
     options = jsonschemaTools.readConfig(options);
     const allSchemas = jsonschemaTools.findSchemasByTitleAndMajor(options);
 
@@ -134,11 +61,16 @@ function declareTests(options = { logLevel: 'warn' }) {
                             for (let i = 0; i < materializedSchemas.length - 1; i++) {
                                 const oldSchemaInfo = materializedSchemas[i];
                                 const newSchemaInfo = materializedSchemas[i + 1];
+                                const compatibilityMode = jsonschemaTools.schemaCompatibilityMode(
+                                    newSchemaInfo.schema, options
+                                );
                                 it(`${newSchemaInfo.version} must be compatible with ${oldSchemaInfo.version}`, function() {
-                                    if (shouldSkipTestCase(compatibilityTestCase, newSchemaInfo, options)) {
+                                    if (compatibilityMode === 'none' ||
+                                        shouldSkipTestCase(compatibilityTestCase, newSchemaInfo, options)
+                                    ) {
                                         this.skip();
                                     } else {
-                                        assertCompatible(newSchemaInfo.schema, oldSchemaInfo.schema);
+                                        assertCompatible(newSchemaInfo.schema, oldSchemaInfo.schema, options);
                                     }
                                 });
                             }
@@ -9,51 +9,42 @@ const {
 const assert = require('assert').strict;
 const traverseSchema = require('json-schema-traverse');
 const _ = require('lodash');
-const Ajv = require('ajv');
 
 
 /**
- * Retuns a new Ajv instance. We need multiple ajv insttances
+ * Retuns a new Ajv instance for a JSONSchema draft. We need multiple ajv insttances
  * for tests here because we may be adding the same schema
  * from multiple files (.yaml, json, etc.) which will have the same
  * $id. AJV will fail if the a schema with the same $id is added multiple times.
  */
-function ajv() {
-    const ajv = new Ajv({
-        schemaId: '$id'
-    });
-    // Both http and https can be used as the draft-07 $schema URL.
-    // However, the draft-07 metaschema uses an http URL as its
-    // $id field.  AJV caches schemas by their $id.  In order
-    // to avoid a remote lookup of this metaschema if a
-    // schema sets $schema to https, we manually cache the
-    // local copy of draft-07 metaschema with the https URL.
-    ajv.addSchema(
-        require('ajv/lib/refs/json-schema-draft-07.json'),
-        'https://json-schema.org/draft-07/schema'
-    );
-
-    return ajv;
-}
+const ajv = jsonschemaTools.createAjv;
 
-const isSchemaValid = ajv().compile(require('ajv/lib/refs/json-schema-draft-07.json'));
-const isSchemaSecure = ajv().compile(require('ajv/lib/refs/json-schema-secure.json'));
+const isSchemaSecure = ajv().compile(require('ajv/dist/refs/json-schema-secure.json'));
 
 
+/**
+ * Returns an AssertionError for the schema node at path.  The JSON pointer path is set
+ * as err.path, so that lintSchemas can locate the node in the schema's source file.
+ * @param {string} message
+ * @param {string} path
+ * @return {assert.AssertionError}
+ */
+function schemaAssertionError(message, path) {
+    const err = new assert.AssertionError({ message });
+    err.path = path;
+    return err;
+}
+
 function assertDeterministicTypes(node, path = '') {
     // if node type is union type, fail.
     if (Array.isArray(node.type)) {
-        throw new assert.AssertionError({
-            message: `Polymorphic type property at #${path}`
-        });
+        throw schemaAssertionError(`Polymorphic type property at #${path}`, path);
     }
 
     // if node type is array, assert items.type
     if (node.type === 'array') {
         if (!node.items || !node.items.type) {
-            throw new assert.AssertionError({
-                message: `array type must specify items.type: #/${path}`
-            });
+            throw schemaAssertionError(`array type must specify items.type: #/${path}`, path);
         }
         // Assert that items types are monomorphic too
         assertDeterministicTypes(node.items, `${path}/items`);
@@ -63,9 +54,9 @@ function assertDeterministicTypes(node, path = '') {
     if (node.type === 'object') {
         const hasSchema = node.properties || node.oneOf || node.allOf;
         if (!hasSchema && !node.additionalProperties) {
-            throw new assert.AssertionError({
-                message: `object type must specify properties or additionalProperties: #/${path}`
-            });
+            throw schemaAssertionError(
+                `object type must specify properties or additionalProperties: #/${path}`, path
+            );
         }
 
         // map type
@@ -79,9 +70,9 @@ function assertDeterministicTypes(node, path = '') {
     if (node.hasOwnProperty('enum') && Array.isArray(node.enum)) {
         node.enum.forEach(val => {
             if (val === null) {
-                throw new assert.AssertionError({
-                    message: `enum type must not have a null enum: #/${path}`
-                });
+                throw schemaAssertionError(
+                    `enum type must not have a null enum: #/${path}`, `${path}/enum`
+                );
             }
         });
     }
@@ -90,9 +81,7 @@ function assertDeterministicTypes(node, path = '') {
     Object.keys(node.properties || {}).forEach((key) => {
         const keyPath = `${path}/properties/${key}`;
         if (!node.properties[key].type) {
-            throw new assert.AssertionError({
-                message: `Missing type at #${keyPath}`
-            });
+            throw schemaAssertionError(`Missing type at #${keyPath}`, keyPath);
         }
         assertDeterministicTypes(node.properties[key], keyPath);
     });
@@ -109,9 +98,9 @@ function assertDeterministicTypes(node, path = '') {
         // All types should be the same
         const hasSameType = node.oneOf.every((schema) => schema.type === type);
         if (!hasSameType) {
-            throw new assert.AssertionError({
-                message: `oneOf contains schemas with different types at #${path}`
-            });
+            throw schemaAssertionError(
+                `oneOf contains schemas with different types at #${path}`, `${path}/oneOf`
+            );
         }
 
         // If object type, the required fields should be the same
@@ -120,9 +109,9 @@ function assertDeterministicTypes(node, path = '') {
             node.oneOf.forEach(({required}) => {
                 const hasSameShape = shape.every(item => required.includes(item)) && required.every(item => shape.includes(item));
                 if (!hasSameShape) {
-                    throw new assert.AssertionError({
-                        message: `oneOf contains schemas with different types at #${path}`
-                    });
+                    throw schemaAssertionError(
+                        `oneOf contains schemas with different types at #${path}`, `${path}/oneOf`
+                    );
                 }
             });
         }
@@ -140,9 +129,7 @@ function assertSnakeCaseProperties(node, path = '') {
     Object.keys(node.properties || {}).forEach((prop) => {
         const propPath = `${path}/properties/${prop}`;
         if (!/^[$a-z]+[a-z0-9_]*$/.test(prop)) {
-            throw new assert.AssertionError({
-                message: `Non snake_case: #/${propPath}`
-            });
+            throw schemaAssertionError(`Non snake_case: #/${propPath}`, propPath);
         }
         assertSnakeCaseProperties(node.properties[prop], propPath);
     });
@@ -150,12 +137,16 @@ function assertSnakeCaseProperties(node, path = '') {
 
 function assertRequired(node, path = '') {
     if (node.required) {
-        assert.ok(node.properties, `#${path}/properties must exist`);
-        node.required.forEach((prop) => {
-            assert.ok(
-                node.properties[prop],
-                `#${path}/properties/${prop} is required but does not exist`
-            );
+        if (!node.properties) {
+            throw schemaAssertionError(`#${path}/properties must exist`, `${path}/required`);
+        }
+        node.required.forEach((prop, i) => {
+            if (!node.properties[prop]) {
+                throw schemaAssertionError(
+                    `#${path}/properties/${prop} is required but does not exist`,
+                    `${path}/required/${i}`
+                );
+            }
         });
     }
     Object.keys(node.properties || {}).forEach((prop) => {
@@ -163,12 +154,38 @@ function assertRequired(node, path = '') {
     });
 }
 
-function assertSchemaIsValid(schema) {
-    if (!isSchemaValid(schema)) {
+/**
+ * Returns a copy of schema without required entries for properties that do not exist.
+ * Only objects that can't get properties from elsewhere, i.e. that have no
+ * allOf, anyOf, oneOf or $ref, are fixed.
+ * @param {Object} schema
+ * @return {Object}
+ */
+function removeNonexistentRequired(schema) {
+    const schemaCopy = _.cloneDeep(schema);
+    traverseSchema(schemaCopy, (node) => {
+        if (
+            !Array.isArray(node.required) ||
+            ['allOf', 'anyOf', 'oneOf', '$ref'].some(keyword => _.has(node, keyword))
+        ) {
+            return;
+        }
+        node.required = node.required.filter(prop => _.has(node.properties, prop));
+        if (_.isEmpty(node.required)) {
+            delete node.required;
+        }
+    });
+    return schemaCopy;
+}
+
+function assertSchemaIsValid(schema, options = {}) {
+    // Validate against the metaschema of the schema's draft.
+    const validator = ajv(jsonschemaTools.schemaDraft(schema, options));
+    if (!validator.validateSchema(schema)) {
         throw new assert.AssertionError({
             message: 'Schema is invalid',
             expected: [],
-            actual: isSchemaValid.errors
+            actual: validator.errors
         });
     }
 }
@@ -192,9 +209,9 @@ function assertExamplesId(schema) {
     });
 }
 
-function assertValidExamples(schema) {
+function assertValidExamples(schema, options = {}) {
     schema.examples.forEach((example, index) => {
-        const validator = ajv();
+        const validator = ajv(jsonschemaTools.schemaDraft(schema, options));
         if (!validator.validate(schema, example)) {
             throw new assert.AssertionError({
                 message: `example ${index} did not validate against schema: ${validator.errorsText()}`,
@@ -208,13 +225,18 @@ function assertEnforcedNumericBounds(schema, options = {}) {
 
     const enforcedMin = options.enforcedNumericBounds[0];
     const enforcedMax = options.enforcedNumericBounds[1];
-    traverseSchema(schema, (obj, _1, _2, _3, _4, _5, fieldName) => {
+    traverseSchema(schema, (obj, jsonPtr, _2, _3, _4, _5, fieldName) => {
         if (['number', 'integer'].includes(obj.type)) {
-            assert.ok(typeof obj.minimum === 'number', `field ${fieldName} doesn\'t have a valid minimum value`);
-            assert.ok(obj.minimum >= enforcedMin, `field ${fieldName} has a minimum value lower than enforcedNumericBounds minimum ${enforcedMin}`);
+            const assertBound = (value, message) => {
+                if (!value) {
+                    throw schemaAssertionError(message, jsonPtr);
+                }
+            };
+            assertBound(typeof obj.minimum === 'number', `field ${fieldName} doesn\'t have a valid minimum value`);
+            assertBound(obj.minimum >= enforcedMin, `field ${fieldName} has a minimum value lower than enforcedNumericBounds minimum ${enforcedMin}`);
 
-            assert.ok(typeof obj.maximum === 'number', `field ${fieldName} doesn\'t have a valid maximum value`);
-            assert.ok(obj.maximum <= enforcedMax, `field ${fieldName} has a maximum value higher than enforcedNumericBounds minimum ${enforcedMax}`);
+            assertBound(typeof obj.maximum === 'number', `field ${fieldName} doesn\'t have a valid maximum value`);
+            assertBound(obj.maximum <= enforcedMax, `field ${fieldName} has a maximum value higher than enforcedNumericBounds minimum ${enforcedMax}`);
         }
     });
 }
@@ -222,6 +244,8 @@ function assertEnforcedNumericBounds(schema, options = {}) {
 /**
  * Test case name => test case object.
  * description, test case assertFn and test case condition.
+ * Test cases whose failures can be repaired mechanically also have a fixFn,
+ * that returns a fixed copy of the schema.  These are used by lintSchemas.
  */
 const testCases = [
     {
@@ -243,12 +267,13 @@ const testCases = [
     {
         name: 'schema-snake-case-properties',
         description: 'properties must be snake_case',
-        assertFn: assertSnakeCaseProperties,
+        // assertFn is called with (schema, options), don't pass options as the path.
+        assertFn: schema => assertSnakeCaseProperties(schema),
     },
     {
         name: 'schema-deterministic-types',
         description: 'has deterministic types (no unions, missing array value types, etc.)',
-        assertFn: assertDeterministicTypes,
+        assertFn: schema => assertDeterministicTypes(schema),
         // Types of propeties may be pulled in by $ref, so don't
         // run this test on non-dereferenced current schemas.
         condition: (schemaInfo) => {
@@ -258,7 +283,8 @@ const testCases = [
     {
         name: 'schema-required-properties-exist',
         description: 'all required properties must exist',
-        assertFn: assertRequired,
+        assertFn: schema => assertRequired(schema),
+        fixFn: removeNonexistentRequired,
         // current schemas might have required properties
         // declared via $ref, so don't run this test for current.
         condition: (schemaInfo) => {
@@ -289,16 +315,70 @@ const testCases = [
         name: 'schema-enforced-numeric-bounds',
         description: 'should have minimum and maximum values inside the configured bounds for all numeric fields',
         assertFn: assertEnforcedNumericBounds,
+        fixFn: (schema, options) => {
+            return jsonschemaTools.enforceNumericBounds(schema, options.enforcedNumericBounds);
+        },
         condition: (schemaInfo, options = {}) => {
             return !schemaInfo.current && options.enforcedNumericBounds;
         },
     }
 ];
 
+/**
+ * Loads the custom robustness test cases (rules) from the modules listed in
+ * options.robustnessRules.  Each module must export a test case, or an array of them,
+ * with the same shape as the built-in ones: { name, description, assertFn, condition }.
+ * Module paths are resolved from the current working directory.
+ * @param {Object} options
+ * @return {Array<Object>}
+ */
+function loadCustomTestCases(options = {}) {
+    options = jsonschemaTools.readConfig(options);
+    return _.flatMap(options.robustnessRules || [], (rulePath) => {
+        const rules = _.castArray(require(require.resolve(rulePath, { paths: [process.cwd()] })));
+        rules.forEach((rule) => {
+            if (
+                !_.isString(rule.name) || !_.isString(rule.description) ||
+                !_.isFunction(rule.assertFn) ||
+                ['condition', 'fixFn'].some(
+                    fn => !_.isUndefined(rule[fn]) && !_.isFunction(rule[fn])
+                )
+            ) {
+                throw new Error(
+                    `Robustness rule in ${rulePath} must have a name, a description, ` +
+                    'an assertFn function and optionally condition and fixFn functions'
+                );
+            }
+        });
+        return rules;
+    });
+}
+
+/**
+ * Returns the built-in and custom (see loadCustomTestCases) robustness test cases.
+ * @param {Object} options
+ * @return {Array<Object>}
+ */
+function robustnessTestCases(options = {}) {
+    const allTestCases = testCases.concat(loadCustomTestCases(options));
+    const duplicateNames = _.keys(_.pickBy(_.countBy(allTestCases, 'name'), count => count > 1));
+    if (!_.isEmpty(duplicateNames)) {
+        throw new Error(`Robustness rule names must be unique, found duplicates: ${duplicateNames.join(', ')}`);
+    }
+    return allTestCases;
+}
+
 
-function declareTests(options = {}) {
+/**
+ * Declares the tests with mocha's describe and it, or with
+ * another harness that provides them (see runner.js).
+ * @param {Object} options
+ * @param {Object} harness { describe, it }
+ */
+function declareTests(options = {}, { describe, it } = global) {
     options = jsonschemaTools.readConfig(options);
     const allSchemas = jsonschemaTools.findSchemasByTitle(options);
+    const allTestCases = robustnessTestCases(options);
     describe(`Schema Robustness in Repository ${options.schemaBasePath}`, () => {
         for (const title of Object.keys(allSchemas)) {
             describe(title, () => {
@@ -308,7 +388,7 @@ function declareTests(options = {}) {
                         (schemaInfo.contentType ? `.${schemaInfo.contentType}` : '');
 
                     describe(testName, () => {
-                        testCases.filter(
+                        allTestCases.filter(
                             // Conditional declartion of test cases is configured by
                             // the test cases themselves.
                             testCase => shouldDeclareTestCase(testCase, schemaInfo, options)
@@ -332,3 +412,4 @@ function declareTests(options = {}) {
 }
 
 module.exports = declareTests;
+module.exports.robustnessTestCases = robustnessTestCases;
@@ -0,0 +1,242 @@
+'use strict';
+
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const jsonschemaTools = require('../jsonschema-tools');
+
+const repositoryTests = {
+    structure: require('./structure'),
+    robustness: require('./robustness'),
+    compatibility: require('./compatibility'),
+};
+
+/**
+ * Thrown by this.skip() in a test case run by runRepositoryTests.
+ */
+const skipSignal = new Error('Test case skipped');
+
+/**
+ * Returns a mocha like { describe, it } harness that collects the declared test cases
+ * into testCases as { suites, name, fn }, instead of running them.
+ * it.only declares a test case like it does.
+ * @param {Array<Object>} testCases
+ * @return {Object}
+ */
+function collectingHarness(testCases) {
+    const suites = [];
+    function describe(name, fn) {
+        suites.push(name);
+        try {
+            fn();
+        } finally {
+            suites.pop();
+        }
+    }
+    function it(name, fn) {
+        testCases.push({ suites: [...suites], name, fn });
+    }
+    it.only = it;
+    return { describe, it };
+}
+
+/**
+ * Runs a collected test case, and returns its status, duration in milliseconds
+ * and (if failed) error message.
+ * @param {Object} testCase
+ * @return {Promise<Object>}
+ */
+async function runTestCase(testCase) {
+    const context = {
+        skip() {
+            throw skipSignal;
+        },
+    };
+    const start = Date.now();
+    const result = { status: 'passed' };
+    try {
+        await testCase.fn.call(context);
+    } catch (err) {
+        if (err === skipSignal) {
+            result.status = 'skipped';
+        } else {
+            result.status = 'failed';
+            result.error = err.message;
+        }
+    }
+    result.duration = Date.now() - start;
+    return result;
+}
+
+/**
+ * Returns test stats for test results.
+ * @param {Array<Object>} results
+ * @return {Object} { tests, passed, failed, skipped, duration }
+ */
+function testStats(results) {
+    const counts = _.countBy(results, 'status');
+    return {
+        tests: results.length,
+        passed: counts.passed || 0,
+        failed: counts.failed || 0,
+        skipped: counts.skipped || 0,
+        duration: _.sumBy(results, 'duration'),
+    };
+}
+
+/**
+ * Runs the structure, robustness and compatibility repository tests (see tests.all)
+ * for the schemas in options.schemaBasePath without mocha, and returns their results
+ * per schema title and test case:
+ *
+ *  {
+ *      stats: { tests, passed, failed, skipped, duration },
+ *      schemas: {
+ *          <title>: {
+ *              stats: { ... },
+ *              tests: [ { suite, name, status, duration, error }, ... ]
+ *          }
+ *      }
+ *  }
+ *
+ * suite is structure, robustness or compatibility, and status is passed, failed or skipped.
+ * error is only set for failed test cases.  Durations are in milliseconds.
+ *
+ * @param {Object} options
+ * @return {Promise<Object>}
+ */
+async function runRepositoryTests(options = {}) {
+    options = jsonschemaTools.readConfig(options);
+
+    const schemas = {};
+    for (const [suite, declareTests] of Object.entries(repositoryTests)) {
+        const testCases = [];
+        declareTests(options, collectingHarness(testCases));
+
+        for (const testCase of testCases) {
+            // The repository tests declare a describe for the repository,
+            // and then one for each schema title (named 'Schema with title <title>'
+            // by the structure tests).
+            const title = (testCase.suites[1] || '').replace(/^Schema with title /, '');
+            const name = [...testCase.suites.slice(2), testCase.name].join(' ');
+            const result = { suite, name, ...await runTestCase(testCase) };
+            schemas[title] = schemas[title] || { tests: [] };
+            schemas[title].tests.push(result);
+        }
+    }
+
+    _.forEach(schemas, (schemaResults) => {
+        schemaResults.stats = testStats(schemaResults.tests);
+    });
+    return {
+        stats: testStats(_.flatMap(schemas, 'tests')),
+        schemas,
+    };
+}
+
+/**
+ * Escapes a string for use in XML text and attribute values.
+ * @param {string} value
+ * @return {string}
+ */
+function escapeXml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+    return String(value).replace(/[&<>"']/g, c => entities[c]);
+}
+
+/**
+ * Formats test stats as JUnit testsuite(s) attributes.
+ * @param {Object} stats
+ * @return {string}
+ */
+function junitStatsAttributes(stats) {
+    return `tests="${stats.tests}" failures="${stats.failed}" ` +
+        `skipped="${stats.skipped}" time="${stats.duration / 1000}"`;
+}
+
+/**
+ * Formats a runRepositoryTests report as JUnit XML, with a testsuite for each schema title.
+ * @param {Object} report
+ * @return {string}
+ */
+function formatJUnitReport(report) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="jsonschema-tools" ${junitStatsAttributes(report.stats)}>`,
+    ];
+    _.forEach(report.schemas, (schemaResults, title) => {
+        lines.push(
+            `  <testsuite name="${escapeXml(title)}" ${junitStatsAttributes(schemaResults.stats)}>`
+        );
+        schemaResults.tests.forEach((result) => {
+            const attributes = `classname="${escapeXml(`${title}.${result.suite}`)}" ` +
+                `name="${escapeXml(result.name)}" time="${result.duration / 1000}"`;
+            if (result.status === 'passed') {
+                lines.push(`    <testcase ${attributes}/>`);
+                return;
+            }
+            lines.push(`    <testcase ${attributes}>`);
+            if (result.status === 'skipped') {
+                lines.push('      <skipped/>');
+            } else {
+                // The message attribute is the first line, the element content is the full error.
+                const message = escapeXml(result.error.split('\n')[0]);
+                lines.push(`      <failure message="${message}">${escapeXml(result.error)}</failure>`);
+            }
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
+    });
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+/**
+ * Formats a runRepositoryTests report as TAP version 13.
+ * Failed test cases have their error message as a YAML diagnostic block.
+ * @param {Object} report
+ * @return {string}
+ */
+function formatTapReport(report) {
+    const lines = ['TAP version 13', `1..${report.stats.tests}`];
+    let testNumber = 0;
+    _.forEach(report.schemas, (schemaResults, title) => {
+        schemaResults.tests.forEach((result) => {
+            testNumber++;
+            const description = `${title}: ${result.suite}: ${result.name}`.replace(/#/g, '\\#');
+            if (result.status === 'failed') {
+                lines.push(`not ok ${testNumber} - ${description}`);
+                const diagnostic = yaml.safeDump({ message: result.error }).trimEnd();
+                lines.push('  ---', ...diagnostic.split('\n').map(line => `  ${line}`), '  ...');
+            } else if (result.status === 'skipped') {
+                lines.push(`ok ${testNumber} - ${description} # SKIP`);
+            } else {
+                lines.push(`ok ${testNumber} - ${description}`);
+            }
+        });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Formats a runRepositoryTests report as json, junit (XML) or tap.
+ * @param {Object} report
+ * @param {string} format
+ * @return {string}
+ */
+function formatTestReport(report, format = 'json') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'junit':
+            return formatJUnitReport(report);
+        case 'tap':
+            return formatTapReport(report);
+        default:
+            throw new Error(`Unknown test report format ${format}, must be one of json, junit or tap`);
+    }
+}
+
+module.exports = {
+    runRepositoryTests,
+    formatTestReport,
+};
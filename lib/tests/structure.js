@@ -5,7 +5,11 @@ const path = require('path');
 const assert = require('assert').strict;
 const fs = require('fs');
 const semver = require('semver');
+const yaml = require('js-yaml');
 const jsonschemaTools = require('../jsonschema-tools.js');
+const {
+    shouldSkipTestCase
+} = require('./util');
 
 function assertIdMatchesDirectory(schemaInfo, options) {
     const relativeSchemaPath = path.relative(options.schemaBasePath, schemaInfo.path);
@@ -15,10 +19,48 @@ function assertIdMatchesDirectory(schemaInfo, options) {
     );
 }
 
-function declareTests(options = { logLevel: 'warn' }) {
+// Used as the testCase name in the skipSchemaTestCases option.
+const immutabilityTestCase = {
+    name: 'schema-version-immutable'
+};
+
+/**
+ * Asserts that the versioned schema file has the same content as it
+ * did when it was first committed to git.
+ * Schema files that have never been committed are not checked.
+ * This runs one git process for each checked file.
+ * @param {Object} schemaInfo
+ * @param {Object} firstCommits as returned by jsonschemaTools.gitFirstCommits
+ * @param {Object} options
+ * @return {Promise}
+ */
+async function assertUnmodifiedSinceFirstCommit(schemaInfo, firstCommits, options) {
+    const firstCommit = firstCommits[schemaInfo.path];
+    if (_.isUndefined(firstCommit)) {
+        return;
+    }
+    const firstCommittedContent = await jsonschemaTools.gitFileContent(
+        schemaInfo.path, firstCommit, options
+    );
+    assert.deepEqual(
+        schemaInfo.schema,
+        yaml.safeLoad(firstCommittedContent),
+        `${schemaInfo.path} has been modified since it was first committed to git`
+    );
+}
+
+/**
+ * Declares the tests with mocha's describe and it, or with
+ * another harness that provides them (see runner.js).
+ * @param {Object} options
+ * @param {Object} harness { describe, it }
+ */
+function declareTests(options = { logLevel: 'warn' }, { describe, it } = global) {
 
     options = jsonschemaTools.readConfig(options);
     const allSchemaInfos = jsonschemaTools.findSchemasByTitle(options);
+    // Found with a single git log the first time a test needs them.
+    let firstCommits;
 
     describe(`Schema Repository Structure in ${options.schemaBasePath}`, () => {
         Object.keys(allSchemaInfos).forEach((schemaTitle) => {
@@ -196,6 +238,23 @@ function declareTests(options = { logLevel: 'warn' }) {
 
                         const materializedSchemaInfosForVersion = schemaInfosForVersion
                         .filter(schemaInfo => !schemaInfo.current);
+
+                        // Published versioned files must never be modified.
+                        materializedSchemaInfosForVersion.forEach((schemaInfo) => {
+                            it(`${schemaInfo.contentType} version must not be modified since first committed to git`, async function() {
+                                if (shouldSkipTestCase(immutabilityTestCase, schemaInfo, options)) {
+                                    this.skip();
+                                } else {
+                                    if (!firstCommits) {
+                                        firstCommits = jsonschemaTools.gitFirstCommits(options);
+                                    }
+                                    await assertUnmodifiedSinceFirstCommit(
+                                        schemaInfo, await firstCommits, options
+                                    );
+                                }
+                            });
+                        });
+
                         // Assert that all materialized files of the same
                         // version are the same schema.
                         it('all materialized content types must be equal', () => {
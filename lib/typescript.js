@@ -0,0 +1,206 @@
+'use strict';
+
+const _ = require('lodash');
+const { conversionError } = require('./conversion');
+
+/**
+ * Map of JSONSchema primitive type to TypeScript type.
+ */
+const typeScriptPrimitiveTypes = {
+    string: 'string',
+    integer: 'number',
+    number: 'number',
+    boolean: 'boolean',
+    null: 'null',
+};
+
+const indentation = '    ';
+
+/**
+ * Returns a TypeScript property name, quoted if it is not a valid identifier.
+ * @param {string} name
+ * @return {string}
+ */
+function propertyName(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Converts a schema title to a TypeScript interface name,
+ * e.g. mediawiki/revision-create -> MediawikiRevisionCreate.
+ * @param {string} title
+ * @return {string}
+ */
+function typeScriptTypeName(title) {
+    const name = _.upperFirst(_.camelCase(title));
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Returns description as a (possibly multi line) doc comment.
+ * @param {string} description
+ * @param {string} indent
+ * @return {string} doc comment followed by a newline, or '' if no description.
+ */
+function docComment(description, indent) {
+    if (!description) {
+        return '';
+    }
+    const lines = description.trim().replace(/\*\//g, '*\\/').split('\n');
+    return `${indent}/**\n${lines.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Returns true if type is a union or intersection type, i.e. it has a | or &
+ * outside of any nested braces, brackets or parentheses.
+ * @param {string} type
+ * @return {boolean}
+ */
+function isCompoundType(type) {
+    let depth = 0;
+    return Array.from(type).some((c) => {
+        if ('{[(<'.includes(c)) {
+            depth++;
+        } else if ('}])>'.includes(c)) {
+            depth--;
+        }
+        return depth === 0 && (c === '|' || c === '&');
+    });
+}
+
+/**
+ * Wraps a union or intersection type in parentheses, so it can be used in other types.
+ * @param {string} type
+ * @return {string}
+ */
+function parenthesize(type) {
+    return isCompoundType(type) ? `(${type})` : type;
+}
+
+/**
+ * Converts a (dereferenced) JSONSchema node to a TypeScript type.
+ * @param {Object|boolean} node
+ * @param {string} path
+ * @param {string} indent current indentation, used for object type literals.
+ * @return {string}
+ */
+function typeScriptType(node, path, indent) {
+    /**
+     * Returns a TypeScript object type literal body for the properties of node.
+     * Properties that are not required are optional.
+     * @param {Object} node
+     * @param {string} path
+     * @param {string} indent indentation of the closing brace.
+     * @return {string}
+     */
+    function objectTypeLiteral(node, path, indent) {
+        const required = node.required || [];
+        const propertyIndent = indent + indentation;
+        const properties = Object.keys(node.properties).map((prop) => {
+            const propertySchema = node.properties[prop];
+            const optional = required.includes(prop) ? '' : '?';
+            const type = typeScriptType(propertySchema, `${path}/properties/${prop}`, propertyIndent);
+            return docComment(propertySchema.description, propertyIndent) +
+                `${propertyIndent}${propertyName(prop)}${optional}: ${type};\n`;
+        });
+        return `{\n${properties.join('')}${indent}}`;
+    }
+
+    if (node === true) {
+        return 'unknown';
+    } else if (node === false) {
+        return 'never';
+    } else if (!_.isPlainObject(node)) {
+        throw conversionError('TypeScript', path, 'not a JSONSchema object');
+    }
+    if (_.has(node, '$ref')) {
+        throw conversionError(
+            'TypeScript', path, '$ref is not supported, schemas must be materialized first'
+        );
+    }
+
+    if (_.has(node, 'const')) {
+        return JSON.stringify(node.const);
+    }
+    if (node.enum) {
+        return node.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+
+    const unionKeyword = ['oneOf', 'anyOf'].find(keyword => node[keyword]);
+    if (unionKeyword) {
+        return node[unionKeyword].map((schema, i) => {
+            return parenthesize(typeScriptType(schema, `${path}/${unionKeyword}/${i}`, indent));
+        }).join(' | ');
+    }
+    if (node.allOf) {
+        return node.allOf.map((schema, i) => {
+            return parenthesize(typeScriptType(schema, `${path}/allOf/${i}`, indent));
+        }).join(' & ');
+    }
+
+    if (Array.isArray(node.type)) {
+        return node.type.map(type => typeScriptType({ ...node, type }, path, indent)).join(' | ');
+    }
+
+    if (_.has(typeScriptPrimitiveTypes, node.type)) {
+        return typeScriptPrimitiveTypes[node.type];
+    }
+
+    if (node.type === 'array') {
+        if (_.isPlainObject(node.items)) {
+            return `${parenthesize(typeScriptType(node.items, `${path}/items`, indent))}[]`;
+        }
+        return 'unknown[]';
+    }
+
+    if (node.type === 'object') {
+        if (node.properties) {
+            return objectTypeLiteral(node, path, indent);
+        }
+        const valueType = _.isPlainObject(node.additionalProperties) ?
+            typeScriptType(node.additionalProperties, `${path}/additionalProperties`, indent) :
+            'unknown';
+        return `{ [key: string]: ${valueType} }`;
+    }
+
+    if (_.isUndefined(node.type)) {
+        return 'unknown';
+    }
+    throw conversionError('TypeScript', path, `type ${node.type} is not supported`);
+}
+
+/**
+ * Converts a materialized (dereferenced) JSONSchema to TypeScript type definitions
+ * (the content of a .d.ts file).  The schema is exported as an interface if it is
+ * an object schema with properties, else as a type alias, named after the schema title,
+ * e.g. mediawiki/revision/create -> MediawikiRevisionCreate.
+ *
+ * Properties that are not required are optional, enums become union literal types,
+ * objects with an additionalProperties schema become index signature maps,
+ * and arrays become arrays of their items type.  Property descriptions become doc comments.
+ *
+ * @param {Object} schema
+ * @param {string} title defaults to schema.title
+ * @return {string}
+ */
+function schemaToTypeScript(schema, title = schema.title) {
+    if (!title) {
+        throw conversionError(
+            'TypeScript', '', 'schema must have a title to name the TypeScript type'
+        );
+    }
+    const name = typeScriptTypeName(title);
+    const header = `// Generated by jsonschema-tools from ${schema.$id || title}. Do not edit.\n\n` +
+        docComment(schema.description, '');
+
+    if (schema.type === 'object' && schema.properties) {
+        // The interface body is the object type literal of the root's properties only.
+        const body = typeScriptType(_.pick(schema, ['type', 'properties', 'required']), '', '');
+        return `${header}export interface ${name} ${body}\n`;
+    }
+    return `${header}export type ${name} = ${typeScriptType(schema, '', '')};\n`;
+}
+
+module.exports = {
+    schemaToTypeScript,
+};
@@ -2,12 +2,20 @@
 'use strict';
 
 const _     = require('lodash');
+const fse   = require('fs-extra');
 const path  = require('path');
+const readline = require('readline');
 const yargs = require('yargs');
 
 const {
-    dereferenceSchema,
+    dereferenceSchemaWithReport,
+    formatRefResolutions,
     materializeSchema,
+    generateSchemaExamples,
+    createEventValidator,
+    parseEvents,
+    validateEvents,
+    formatEventValidationErrors,
     materializeSchemaToPath,
     materializeModifiedSchemas,
     materializeAllSchemas,
@@ -16,6 +24,19 @@ const {
     installGitHook,
     defaultOptions,
     printDiffForGitModifiedVersionedSchemas,
+    checkCompatibility,
+    locateCompatibilityViolations,
+    suggestSchemaVersion,
+    schemaHiveDdl,
+    schemaDependencyGraph,
+    formatSchemaDependencies,
+    createSchemaServer,
+    runRepositoryTests,
+    formatTestReport,
+    lintSchemas,
+    formatLintViolations,
+    initSchemaRepository,
+    scaffoldSchema,
 } = require('../index.js');
 
 /**
@@ -75,6 +96,31 @@ const commonOptions = {
         alias: 'dry-run',
         type: 'boolean',
     },
+    F: {
+        alias: 'offline',
+        desc: 'If given, schemas will never be fetched from http schema base URIs, only from the schema cache (see schemaCacheDir).',
+        type: 'boolean',
+    },
+    f: {
+        alias: 'force',
+        desc: 'If given, versioned schema files that have already been committed to git with different content will be overwritten.',
+        type: 'boolean',
+    },
+    E: {
+        alias: 'enforce-compatibility',
+        desc: 'If given, schemas will not be materialized if they are not compatible with the previous version with the same major version.',
+        type: 'boolean',
+    },
+    A: {
+        alias: 'avro',
+        desc: 'If given, an Avro schema (.avsc) will also be materialized next to each versioned schema file.',
+        type: 'boolean',
+    },
+    // No short alias, -t is --table-name.
+    typescript: {
+        desc: 'If given, TypeScript type definitions (.d.ts) will also be materialized next to each versioned schema file.',
+        type: 'boolean',
+    },
     v: {
         alias: 'verbose',
         type: 'boolean',
@@ -91,6 +137,7 @@ const commonOptions = {
 const dereferenceOptions = {
     v: commonOptions.v,
     u: commonOptions.u,
+    F: commonOptions.F,
     // For dereference and materialize (with --stdout),
     // only a single output content-type is taken, as this command
     // output the dereferenced schema to stdout.
@@ -102,6 +149,12 @@ const dereferenceOptions = {
         choices: ['yaml', 'json'],
     },
     C: commonOptions.C,
+    e: {
+        alias: 'explain-refs',
+        desc: 'If given, a report of the URL each $ref was resolved from, and of the schema base URIs that failed to resolve it, will be written to stderr.',
+        type: 'boolean',
+        default: false,
+    },
 };
 
 
@@ -127,7 +180,12 @@ const gitOptions = {
         desc: 'If given, newly generated files will not be staged to git via git add.',
         type: 'boolean',
         default: false,
-    }
+    },
+    R: {
+        alias: 'dependents',
+        desc: 'If given, current schemas that (transitively) $ref a modified schema will also be materialized.',
+        type: 'boolean',
+    },
 };
 
 const diffOptions = {
@@ -145,6 +203,206 @@ const diffOptions = {
     },
 };
 
+const checkCompatibilityOptions = {
+    v: commonOptions.v,
+    u: commonOptions.u,
+    F: commonOptions.F,
+    D: commonOptions.D,
+    c: dereferenceOptions.c,
+    C: commonOptions.C,
+    m: {
+        alias: 'compatibility-mode',
+        desc: 'Compatibility mode to check. If not given, the compatibilityMode configured for the new schema\'s $id will be used.',
+        type: 'string',
+        choices: ['backward', 'forward', 'full', 'none'],
+    },
+};
+
+const suggestVersionOptions = {
+    v: commonOptions.v,
+    u: commonOptions.u,
+    F: commonOptions.F,
+    c: dereferenceOptions.c,
+    C: commonOptions.C,
+    n: commonOptions.n,
+    w: {
+        alias: 'write',
+        desc: 'If given, the version in the schema version field of each current schema file will be rewritten in place to the suggested version.',
+        type: 'boolean',
+        default: false,
+    },
+};
+
+const hiveDdlOptions = {
+    v: commonOptions.v,
+    V: commonOptions.V,
+    C: commonOptions.C,
+    B: {
+        alias: 'schema-base-path',
+        desc: 'Path to base directory in which schemas are stored.  Defaults to cwd.',
+        type: 'string',
+        normalize: true,
+    },
+    t: {
+        alias: 'table-name',
+        desc: 'Hive table name, optionally qualified with a database name.  Defaults to the schema title with non word characters replaced with _.',
+        type: 'string',
+    },
+};
+
+const generateExamplesOptions = {
+    v: commonOptions.v,
+    u: commonOptions.u,
+    F: commonOptions.F,
+    D: commonOptions.D,
+    C: commonOptions.C,
+    // No short aliases, -n is --dry-run and -s is --staged.
+    count: {
+        desc: 'Number of examples to generate.',
+        type: 'number',
+        default: 1,
+    },
+    seed: {
+        desc: 'Seed for the pseudo random example values.  The same schema, count and seed always generate the same examples.',
+        type: 'string',
+        default: '0',
+    },
+};
+
+const validateOptions = {
+    v: commonOptions.v,
+    u: commonOptions.u,
+    F: commonOptions.F,
+    C: commonOptions.C,
+};
+
+const depsOptions = {
+    v: commonOptions.v,
+    V: commonOptions.V,
+    C: commonOptions.C,
+    B: hiveDdlOptions.B,
+    // No short alias, -f is --force.
+    format: {
+        desc: 'Output format of the dependency graph: an indented text tree or a Graphviz DOT digraph.',
+        type: 'string',
+        choices: ['text', 'dot'],
+        default: 'text',
+    },
+};
+
+const serveOptions = {
+    v: commonOptions.v,
+    V: commonOptions.V,
+    c: commonOptions.c,
+    C: commonOptions.C,
+    p: {
+        alias: 'port',
+        desc: 'Port on which to listen.',
+        type: 'number',
+        default: 8080,
+    },
+    H: {
+        alias: 'host',
+        desc: 'Host (address) on which to listen.',
+        type: 'string',
+        default: 'localhost',
+    },
+    i: {
+        alias: 'index-ttl',
+        desc: 'Number of seconds after which materialized schemas are looked up again.',
+        type: 'number',
+    },
+};
+
+const testOptions = {
+    v: commonOptions.v,
+    V: commonOptions.V,
+    c: commonOptions.c,
+    C: commonOptions.C,
+    // No short alias, -f is --force.
+    format: {
+        desc: 'Output format of the test results.',
+        type: 'string',
+        choices: ['json', 'junit', 'tap'],
+        default: 'tap',
+    },
+};
+
+const lintOptions = {
+    v: commonOptions.v,
+    V: commonOptions.V,
+    u: commonOptions.u,
+    c: commonOptions.c,
+    N: commonOptions.N,
+    F: commonOptions.F,
+    C: commonOptions.C,
+    B: hiveDdlOptions.B,
+    r: {
+        alias: 'rule',
+        desc: 'Names of the robustness rules to check.  If not given, all rules are checked.',
+        type: 'array',
+        coerce: coerceArrayOption
+    },
+    I: {
+        alias: 'ignore-rule',
+        desc: 'Names of robustness rules not to check.',
+        type: 'array',
+        coerce: coerceArrayOption
+    },
+    x: {
+        alias: 'fix',
+        desc: 'If given, current schema files will be rewritten with fixes from rules that can repair them, e.g. adding missing numeric bounds.',
+        type: 'boolean',
+    },
+};
+
+const initOptions = {
+    v: commonOptions.v,
+    n: commonOptions.n,
+    c: commonOptions.c,
+    B: {
+        alias: 'schema-base-path',
+        desc: 'Path (relative to repository-path) of the directory in which schemas will be stored.  Default: jsonschema',
+        type: 'string',
+    },
+    // No short aliases, -e is --explain-refs and -H is --host.
+    'example-title': {
+        desc: 'Title of the example schema to create.  If empty, no example schema will be created.  Default: example',
+        type: 'string',
+    },
+    'no-git-hook': {
+        desc: 'If given, the git pre-commit hook will not be installed.',
+        type: 'boolean',
+    },
+    y: {
+        alias: 'yes',
+        desc: 'If given, options that were not given will not be prompted for, and their defaults will be used.',
+        type: 'boolean',
+        default: false,
+    },
+};
+
+const newSchemaOptions = {
+    v: commonOptions.v,
+    u: commonOptions.u,
+    c: commonOptions.c,
+    N: commonOptions.N,
+    F: commonOptions.F,
+    C: commonOptions.C,
+    B: hiveDdlOptions.B,
+    n: commonOptions.n,
+    // No short aliases, -f is --force and -r is --rule.
+    from: {
+        desc: 'Title of an existing schema whose current schema will be copied, instead of starting with only a $schema field.',
+        type: 'string',
+    },
+    ref: {
+        desc: '$refs of schema fragments to allOf in the new schema, e.g. /fragment/common/1.0.0.  Overrides the configured newSchemaRefs.',
+        type: 'array',
+        coerce: coerceArrayOption
+    },
+};
+
 const schemaPathArg = {
     desc: 'Path to the schema. If not given, the schema will be read from stdin.',
     type: 'string',
@@ -181,6 +439,30 @@ function argsToOptions(args) {
             options.gitStaged = args[key];
         } else if (key === 'commit') {
             options.gitDiffCommit = args[key];
+        } else if (key === 'force') {
+            options.forceOverwrite = args[key];
+        } else if (key === 'enforceCompatibility') {
+            options.enforceCompatibilityOnMaterialize = args[key];
+        } else if (key === 'avro') {
+            options.shouldGenerateAvroSchema = args[key];
+        } else if (key === 'offline') {
+            options.schemaCacheOffline = args[key];
+        } else if (key === 'typescript') {
+            options.shouldGenerateTypeScript = args[key];
+        } else if (key === 'dependents') {
+            options.shouldMaterializeDependents = args[key];
+        } else if (key === 'rule') {
+            options.lintRules = args[key];
+        } else if (key === 'ignoreRule') {
+            options.lintIgnoreRules = args[key];
+        } else if (key === 'fix') {
+            options.shouldFixLint = args[key];
+        } else if (key === 'ref') {
+            options.newSchemaRefs = args[key];
+        } else if (key === 'write') {
+            options.shouldWriteVersion = args[key];
+        } else if (key === 'indexTtl') {
+            options.serverIndexTtl = args[key];
         } else if (key === 'diff-command') {
             options.diffCommand = args[key];
         } else if (_.has(defaultOptions, key)) {
@@ -212,7 +494,16 @@ async function dereference(args) {
 
     const schemas = await Promise.all(schemaPaths.map(async (schemaPath) => {
         try {
-            return await dereferenceSchema(await readObject(schemaPath), options);
+            const { schema, refResolutions } = await dereferenceSchemaWithReport(
+                await readObject(schemaPath), options
+            );
+            if (args.explainRefs) {
+                process.stderr.write(
+                    `$ref resolutions for ${schemaPath === 0 ? 'stdin' : schemaPath}:\n` +
+                    `${formatRefResolutions(refResolutions)}\n`
+                );
+            }
+            return schema;
         } catch (err) {
             options.log.fatal(err, `Failed dereferencing schema at ${schemaPath}`);
             process.exit(1);
@@ -272,7 +563,13 @@ async function materialize(args) {
  */
 async function materializeModified(args) {
     const options = argsToOptions(args);
-    await materializeModifiedSchemas(options);
+    try {
+        await materializeModifiedSchemas(options);
+    } catch (err) {
+        // Exit non-zero so that e.g. the git pre-commit hook rejects the commit.
+        options.log.fatal(err, 'Failed materializing modified schemas.');
+        process.exit(1);
+    }
 }
 
 async function materializeAll(args) {
@@ -285,6 +582,337 @@ async function diffChangedSchemaVersions(args) {
     await printDiffForGitModifiedVersionedSchemas(options);
 }
 
+/**
+ * Given yargs args, reads and materializes the old and new schemas and
+ * writes any compatibility violations to stdout.
+ * Exits non-zero if the new schema is not compatible with the old schema.
+ * @param {Object} args
+ */
+async function checkCompatibilityCommand(args) {
+    const options = argsToOptions(args);
+
+    let oldSourceSchema, newSourceSchema, oldSchema, newSchema;
+    try {
+        oldSourceSchema = await readObject(args.oldSchemaPath);
+        newSourceSchema = await readObject(args.newSchemaPath);
+        // Materialize copies, so that violations can be located in the source schemas.
+        oldSchema = await materializeSchema(_.cloneDeep(oldSourceSchema), options);
+        newSchema = await materializeSchema(_.cloneDeep(newSourceSchema), options);
+    } catch (err) {
+        options.log.fatal(err, `Failed reading schemas ${args.oldSchemaPath} and ${args.newSchemaPath}`);
+        process.exit(1);
+    }
+
+    const violations = locateCompatibilityViolations(
+        checkCompatibility(newSchema, oldSchema, options),
+        newSourceSchema, oldSourceSchema, options
+    );
+    process.stdout.write(serialize(violations, args.contentType));
+
+    if (!_.isEmpty(violations)) {
+        options.log.error(
+            `${args.newSchemaPath} is not compatible with ${args.oldSchemaPath}: ` +
+            `found ${violations.length} compatibility violations.`
+        );
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Given yargs args, suggests the minimum version bump for current schema files
+ * and writes the suggestions to stdout.
+ * @param {Object} args
+ */
+async function suggestVersion(args) {
+    const options = argsToOptions(args);
+
+    const suggestions = [];
+    for (const schemaPath of args.schemaPath) {
+        try {
+            suggestions.push(await suggestSchemaVersion(schemaPath, options));
+        } catch (err) {
+            options.log.fatal(err, `Failed suggesting version for schema at ${schemaPath}`);
+            process.exit(1);
+        }
+    }
+    process.stdout.write(serialize(suggestions, args.contentType));
+}
+
+/**
+ * Given yargs args, writes Hive DDL for materialized versions of a schema to stdout.
+ * @param {Object} args
+ */
+function hiveDdl(args) {
+    const options = argsToOptions(args);
+
+    let ddl;
+    try {
+        ddl = schemaHiveDdl(args.title, args.versions, args.tableName, options);
+    } catch (err) {
+        options.log.fatal(err, `Failed generating Hive DDL for schema ${args.title}`);
+        process.exit(1);
+    }
+    if (ddl) {
+        process.stdout.write(`${ddl}\n`);
+    } else {
+        options.log.info(`Hive table for schema ${args.title} does not need to change.`);
+    }
+}
+
+/**
+ * Given yargs args, writes generated examples of a schema to stdout as newline delimited JSON.
+ * @param {Object} args
+ */
+async function generateExamples(args) {
+    const options = argsToOptions(args);
+    // Examples are generated here, not by materializeSchema.
+    options.shouldGenerateExample = false;
+
+    const schemaPath = args.schemaPath || 0;
+    let examples;
+    try {
+        const schema = await materializeSchema(await readObject(schemaPath), options);
+        examples = generateSchemaExamples(schema, args.count, args.seed, options);
+    } catch (err) {
+        options.log.fatal(err, `Failed generating examples of schema at ${schemaPath}`);
+        process.exit(1);
+    }
+    process.stdout.write(examples.map(example => `${JSON.stringify(example)}\n`).join(''));
+}
+
+/**
+ * Given yargs args, validates JSON or NDJSON events in files (or stdin) against their
+ * $schemas, writes any errors and a summary to stdout, and exits non-zero if any
+ * event is invalid.
+ * @param {Object} args
+ */
+async function validate(args) {
+    const options = argsToOptions(args);
+
+    let eventPaths = args.eventPath;
+    // If not given any event paths, read from stdin.
+    if (_.isEmpty(eventPaths)) {
+        eventPaths = [0];
+    }
+
+    // Share compiled schemas between all event files.
+    const eventValidator = createEventValidator(options);
+    let eventCount = 0;
+    let invalidCount = 0;
+    try {
+        for (const eventPath of eventPaths) {
+            const source = eventPath === 0 ? 'stdin' : eventPath;
+            const text = await fse.readFile(eventPath, 'utf-8');
+            const results = await validateEvents(parseEvents(text), options, eventValidator);
+            const invalidResults = results.filter(result => !_.isEmpty(result.errors));
+            if (!_.isEmpty(invalidResults)) {
+                process.stdout.write(`${formatEventValidationErrors(invalidResults, source)}\n`);
+            }
+            eventCount += results.length;
+            invalidCount += invalidResults.length;
+        }
+    } catch (err) {
+        options.log.fatal(err, 'Failed validating events');
+        process.exit(1);
+    }
+
+    process.stdout.write(
+        `Validated ${eventCount} events: ${eventCount - invalidCount} valid, ${invalidCount} invalid.\n`
+    );
+    if (invalidCount > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Given yargs args, writes the $ref dependency graph of a current schema to stdout.
+ * @param {Object} args
+ */
+function deps(args) {
+    const options = argsToOptions(args);
+
+    let output;
+    try {
+        output = formatSchemaDependencies(schemaDependencyGraph(options), args.title, args.format);
+    } catch (err) {
+        options.log.fatal(err, `Failed finding $ref dependencies of schema ${args.title}`);
+        process.exit(1);
+    }
+    process.stdout.write(`${output}\n`);
+}
+
+/**
+ * Given yargs args, runs the repository tests on the schemas in schemaBasePath,
+ * writes the results to stdout, and exits non-zero if any test case failed.
+ * @param {Object} args
+ */
+async function test(args) {
+    const options = argsToOptions(args);
+
+    let report;
+    try {
+        report = await runRepositoryTests(options);
+    } catch (err) {
+        options.log.fatal(err, `Failed running repository tests in ${options.schemaBasePath || process.cwd()}`);
+        process.exit(1);
+    }
+    process.stdout.write(`${formatTestReport(report, args.format)}\n`);
+    if (report.stats.failed > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Given yargs args, lints current schema files (or all current schemas in schemaBasePath)
+ * with the robustness rules, writes any violations and a summary to stdout,
+ * and exits non-zero if there are any violations.
+ * @param {Object} args
+ */
+async function lint(args) {
+    const options = argsToOptions(args);
+
+    let results;
+    try {
+        results = await lintSchemas(args.schemaPath, options);
+    } catch (err) {
+        options.log.fatal(err, 'Failed linting schemas');
+        process.exit(1);
+    }
+
+    const violationCount = _.sumBy(results, result => result.violations.length);
+    if (violationCount > 0) {
+        process.stdout.write(`${formatLintViolations(results)}\n`);
+    }
+    const fixedCount = results.filter(result => !_.isEmpty(result.fixed)).length;
+    const fixedSummary = options.shouldFixLint ? `, fixed ${fixedCount} schemas` : '';
+    process.stdout.write(
+        `Linted ${results.length} schemas: ${violationCount} violations${fixedSummary}.\n`
+    );
+    if (violationCount > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Serves the materialized schemas in schemaBasePath over HTTP until killed.
+ * @param {Object} args
+ */
+function serve(args) {
+    const options = argsToOptions(args);
+    const server = createSchemaServer(options);
+    server.on('error', (err) => {
+        options.log.fatal(err, `Failed serving schemas at http://${args.host}:${args.port}/`);
+        process.exit(1);
+    });
+    server.listen(args.port, args.host, () => {
+        options.log.info(
+            `Serving schemas in ${options.schemaBasePath || process.cwd()} at http://${args.host}:${args.port}/`
+        );
+    });
+}
+
+/**
+ * Asks questions on stderr and reads the answers from stdin.
+ * Empty answers are the question's default.
+ * @param {Array<Object>} questions { name, message, default }
+ * @return {Promise<Object>} answers by question name
+ */
+async function prompt(questions) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answers = {};
+    try {
+        for (const question of questions) {
+            const answer = await new Promise(
+                resolve => rl.question(`${question.message} (${question.default}) `, resolve)
+            );
+            answers[question.name] = answer.trim() || question.default;
+        }
+    } finally {
+        rl.close();
+    }
+    return answers;
+}
+
+/**
+ * Given yargs args, scaffolds a new schema repository.  Options that were not given
+ * are prompted for, unless --yes or stdin is not a terminal.
+ * @param {Object} args
+ */
+async function init(args) {
+    // schemaBasePath and contentTypes are config for the new repository, not options for init.
+    const options = argsToOptions(_.omit(args, ['schemaBasePath', 'contentTypes']));
+    const repositoryPath = args.repositoryPath || process.cwd();
+
+    const questions = [
+        {
+            name: 'schemaBasePath',
+            message: 'Schema base path, relative to the repository:',
+            default: 'jsonschema',
+        },
+        {
+            name: 'contentTypes',
+            message: 'Content types of materialized schemas, comma separated:',
+            default: defaultOptions.contentTypes.join(','),
+        },
+        {
+            name: 'exampleTitle',
+            message: 'Title of the example schema, or none:',
+            default: 'example',
+        },
+        {
+            name: 'gitHook',
+            message: 'Install the git pre-commit hook? y/n',
+            default: 'y',
+        },
+    ].filter(question => _.isUndefined(args[question.name]));
+
+    let answers = {};
+    if (!args.yes && process.stdin.isTTY && !_.isEmpty(questions)) {
+        answers = await prompt(questions);
+    }
+    const config = {
+        schemaBasePath: args.schemaBasePath || answers.schemaBasePath,
+        contentTypes: args.contentTypes ||
+            (answers.contentTypes && coerceArrayOption([answers.contentTypes])),
+    };
+    const exampleTitle = _.isUndefined(args.exampleTitle) ?
+        answers.exampleTitle : args.exampleTitle;
+    options.exampleSchemaTitle = exampleTitle === 'none' ? '' : exampleTitle;
+    options.shouldInstallGitHook = _.isUndefined(args.gitHook) ?
+        !/^n/i.test(answers.gitHook || 'y') : args.gitHook;
+
+    let files;
+    try {
+        files = await initSchemaRepository(repositoryPath, config, options);
+    } catch (err) {
+        options.log.fatal(err, `Failed initializing schema repository in ${repositoryPath}`);
+        process.exit(1);
+    }
+    process.stdout.write(files.map(file => `Created ${file}\n`).join(''));
+    process.stdout.write(
+        'Add @wikimedia/jsonschema-tools and mocha as devDependencies, ' +
+        'and run mocha to test the schema repository.\n'
+    );
+}
+
+/**
+ * Given yargs args, creates a new schema title directory with a current schema file,
+ * and materializes it.
+ * @param {Object} args
+ */
+async function newSchema(args) {
+    const options = argsToOptions(args);
+
+    let files;
+    try {
+        files = await scaffoldSchema(args.title, args.from, options);
+    } catch (err) {
+        options.log.fatal(err, `Failed creating schema ${args.title}`);
+        process.exit(1);
+    }
+    process.stdout.write(files.map(file => `Created ${file}\n`).join(''));
+}
+
 /**
  * Installs a git pre-commit hook in gitRoot that will
  * materialize any staged modified files currentName schema files.
@@ -340,6 +968,74 @@ const argParser = yargs
             .options(diffOptions)
             .positional('schema-base-path', schemaBasePathArg),
         diffChangedSchemaVersions
+    ).command(
+        'check-compatibility <old-schema-path> <new-schema-path>', 'Checks that the new JSONSchema is compatible with the old one and prints any compatibility violations. Exits non-zero if they are not compatible.',
+        y => y
+            .options(checkCompatibilityOptions)
+            .positional('old-schema-path', { desc: 'Path to the old schema.', type: 'string', normalize: true })
+            .positional('new-schema-path', { desc: 'Path to the new schema.', type: 'string', normalize: true }),
+        checkCompatibilityCommand
+    ).command(
+        'suggest-version <schema-path...>', 'Compares materialized current JSONSchema files with their latest materialized versions and suggests the minimum semantic version bump.',
+        y => y
+            .options(suggestVersionOptions)
+            .positional('schema-path', { desc: 'Paths to current schema files.', type: 'string', normalize: true }),
+        suggestVersion
+    ).command(
+        'hive-ddl <title> [versions...]', 'Prints Hive DDL for a materialized schema: CREATE TABLE for the latest (or the given) version, or the ALTER TABLE statements needed to evolve a table between two given versions.',
+        y => y
+            .options(hiveDdlOptions)
+            .positional('title', { desc: 'Schema title.', type: 'string' })
+            .positional('versions', { desc: 'Zero, one or two (old and new) schema versions.', type: 'string' }),
+        hiveDdl
+    ).command(
+        'generate-examples [schema-path]', 'Generates varied but reproducible examples of a JSONSchema and outputs them on stdout as newline delimited JSON.',
+        y => y
+            .options(generateExamplesOptions)
+            .positional('schema-path', schemaPathArg),
+        generateExamples
+    ).command(
+        'validate [event-path...]', 'Validates JSON or newline delimited JSON events against the schemas in their $schema fields, found at schema-base-uris.  Prints errors for each invalid event and a summary, and exits non-zero if any event is invalid.',
+        y => y
+            .options(validateOptions)
+            .positional('event-path', { desc: 'Paths to event files. If not given, events will be read from stdin.', type: 'string', normalize: true }),
+        validate
+    ).command(
+        'deps <title>', 'Prints the $ref dependency graph of a current schema, as an indented text tree or a Graphviz DOT digraph.  Fails if there is a $ref dependency cycle.',
+        y => y
+            .options(depsOptions)
+            .positional('title', { desc: 'Schema title.', type: 'string' }),
+        deps
+    ).command(
+        'test [schema-base-path]', 'Runs the structure, robustness and compatibility repository tests without mocha, and prints the results per schema and test case as JSON, JUnit XML or TAP.  Exits non-zero if any test case failed.',
+        y => y
+            .options(testOptions)
+            .positional('schema-base-path', schemaBasePathArg),
+        test
+    ).command(
+        'lint [schema-path...]', 'Checks current JSONSchema files against the robustness rules before they are materialized, and optionally fixes them.  Prints any violations and a summary, and exits non-zero if there are any violations.',
+        y => y
+            .options(lintOptions)
+            .positional('schema-path', { desc: 'Paths to current schema files, or directories in which to find them.  Defaults to schema-base-path.', type: 'string', normalize: true }),
+        lint
+    ).command(
+        'init [repository-path]', 'Scaffolds a new schema repository: a .jsonschema-tools.yaml config file documenting all options, a mocha test file running the schema repository tests, an example schema and the git pre-commit hook.  Prompts for options that are not given.',
+        y => y
+            .options(initOptions)
+            .positional('repository-path', { desc: 'Path to the repository.  Defaults to cwd.', type: 'string', normalize: true }),
+        init
+    ).command(
+        'new-schema <title>', 'Creates a new schema title directory with a current schema file with version 1.0.0 (copied from another schema, or with only a $schema field), and materializes it.',
+        y => y
+            .options(newSchemaOptions)
+            .positional('title', { desc: 'Title of the new schema, also its directory relative to schema-base-path.', type: 'string' }),
+        newSchema
+    ).command(
+        'serve [schema-base-path]', 'Serves materialized JSONSchemas over HTTP at their $id paths, with YAML/JSON content negotiation, latest versions and title and version listings.',
+        y => y
+            .options(serveOptions)
+            .positional('schema-base-path', schemaBasePathArg),
+        serve
     );
 
 yargs.showHelpOnFail(false, 'Specify --help for available options')
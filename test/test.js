@@ -11,13 +11,48 @@ const rewire = require('rewire');
 const {
     materializeSchemaToPath,
     materializeSchema,
+    enforceNumericBounds,
+    generateSchemaExamples,
+    parseEvents,
+    validateEvents,
+    formatEventValidationErrors,
+    schemaDraft,
+    createAjv,
+    createEventValidator,
+    dereferenceSchema,
     findSchemasByTitle,
     findSchemasByTitleAndMajor,
     readConfig,
+    defaultOptions,
+    defaultOptionsDocs,
     getSchemaById,
     materializeAllSchemas,
     schemaVersion,
     serializers,
+    checkCompatibility,
+    schemaCompatibilityMode,
+    suggestSchemaVersion,
+    schemaToAvro,
+    schemaToTypeScript,
+    schemaHiveDdl,
+    createSchemaServer,
+    dereferenceSchemaWithReport,
+    formatRefResolutions,
+    schemaDependencyGraph,
+    formatSchemaDependencies,
+    runRepositoryTests,
+    formatTestReport,
+    lintSchemas,
+    formatLintViolations,
+    readObject,
+    schemaSourceLocation,
+    formatSourceLocation,
+    locateCompatibilityViolations,
+    formatCompatibilityViolations,
+    initSchemaRepository,
+    scaffoldSchema,
+    gitFileContent,
+    gitFirstCommits,
     tests
 } = require('../index.js');
 
@@ -535,6 +570,1338 @@ describe('materializeSchemaToPath', function() {
 
         });
     });
+
+    it('should refuse to materialize an incompatible version if enforceCompatibilityOnMaterialize', async () => {
+        const options = readConfig({
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+            enforceCompatibilityOnMaterialize: true,
+            schemaBaseUris: [fixture.resolve('schemas/')],
+        }, true);
+
+        const schemaFile = fixture.resolve('schemas/basic/current.yaml');
+        const schemaDirectory = path.dirname(schemaFile);
+        const schema = yaml.safeLoad(await fse.readFile(schemaFile, 'utf-8'));
+
+        // basic 1.1.0 has test_map, so removing it is not compatible.
+        const incompatibleSchema = _.cloneDeep(schema);
+        delete incompatibleSchema.properties.test_map;
+        await assert.rejects(
+            materializeSchemaToPath(schemaDirectory, incompatibleSchema, options),
+            (err) => {
+                assert.ok(err.message.includes('not compatible with 1.1.0'));
+                assert.deepStrictEqual(err.violations.map(v => v.rule), ['field-removed']);
+                return true;
+            }
+        );
+        assert.strictEqual(await fse.pathExists(path.join(schemaDirectory, '1.2.0.yaml')), false);
+
+        // A new major version is not checked against the previous major version.
+        incompatibleSchema.$id = '/basic/2.0.0';
+        await materializeSchemaToPath(schemaDirectory, incompatibleSchema, options);
+        assert.ok(await fse.pathExists(path.join(schemaDirectory, '2.0.0.yaml')));
+
+        const materializedFiles = await materializeSchemaToPath(schemaDirectory, schema, options);
+        assert.ok(materializedFiles.includes(path.join(schemaDirectory, '1.2.0.yaml')));
+    });
+    it('should materialize an Avro schema if shouldGenerateAvroSchema', async () => {
+        const options = readConfig({
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+            shouldGenerateAvroSchema: true,
+            schemaBaseUris: [fixture.resolve('schemas/')],
+        }, true);
+
+        const schemaFile = fixture.resolve('schemas/basic/current.yaml');
+        const schemaDirectory = path.dirname(schemaFile);
+        const schema = yaml.safeLoad(await fse.readFile(schemaFile, 'utf-8'));
+        const avroSchemaPath = path.join(schemaDirectory, '1.2.0.avsc');
+
+        const unconvertibleSchema = _.cloneDeep(schema);
+        unconvertibleSchema.properties.test_union = { type: ['string', 'integer'] };
+        await assert.rejects(
+            materializeSchemaToPath(schemaDirectory, unconvertibleSchema, options),
+            /#\/properties\/test_union to Avro: union type/
+        );
+        assert.strictEqual(await fse.pathExists(path.join(schemaDirectory, '1.2.0.yaml')), false);
+
+        const materializedFiles = await materializeSchemaToPath(schemaDirectory, schema, options);
+        assert.ok(materializedFiles.includes(avroSchemaPath));
+        const avroSchema = JSON.parse(await fse.readFile(avroSchemaPath, 'utf-8'));
+        assert.strictEqual(avroSchema.name, 'basic');
+        assert.deepStrictEqual(avroSchema.fields.find(field => field.name === '_schema'), {
+            name: '_schema',
+            doc: expectedBasicDereferencedSchema.properties.$schema.description.trim(),
+            type: 'string',
+        });
+    });
+
+    it('should materialize TypeScript type definitions and latest.d.ts if shouldGenerateTypeScript', async () => {
+        const options = readConfig({
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+            shouldSymlinkLatest: true,
+            shouldGenerateTypeScript: true,
+            schemaBaseUris: [fixture.resolve('schemas/')],
+        }, true);
+
+        const schemaDirectory = fixture.resolve('schemas/basic');
+        const latestSymlinkPath = path.join(schemaDirectory, 'latest.d.ts');
+        const readSchema = async fileName => yaml.safeLoad(
+            await fse.readFile(path.join(schemaDirectory, fileName), 'utf-8')
+        );
+
+        const materializedFiles = await materializeSchemaToPath(
+            schemaDirectory, await readSchema('current.yaml'), options
+        );
+        assert.ok(materializedFiles.includes(path.join(schemaDirectory, '1.2.0.d.ts')));
+        assert.ok(materializedFiles.includes(latestSymlinkPath));
+        assert.strictEqual(await fse.readlink(latestSymlinkPath), '1.2.0.d.ts');
+        const typeScript = await fse.readFile(latestSymlinkPath, 'utf-8');
+        assert.ok(typeScript.includes('export interface Basic {'));
+
+        // Materializing an older version should not change latest.d.ts.
+        await materializeSchemaToPath(schemaDirectory, await readSchema('1.1.0.yaml'), options);
+        assert.ok(await fse.pathExists(path.join(schemaDirectory, '1.1.0.d.ts')));
+        assert.strictEqual(await fse.readlink(latestSymlinkPath), '1.2.0.d.ts');
+    });
+});
+
+describe('TypeScript type definitions', function() {
+    it('should convert a materialized schema to a TypeScript interface', () => {
+        const schema = {
+            title: 'mediawiki/page-create',
+            $id: '/mediawiki/page-create/1.0.0',
+            description: 'A page was created',
+            type: 'object',
+            properties: {
+                $schema: { type: 'string' },
+                page_title: { type: 'string', description: 'Title of the page' },
+                namespace: { type: 'integer', enum: [0, 1] },
+                state: { type: ['string', 'null'], enum: ['draft', 'published', null] },
+                tags: { type: 'array', items: { type: 'string' } },
+                revisions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { rev_id: { type: 'integer' } },
+                        required: ['rev_id'],
+                    },
+                },
+                labels: { type: 'object', additionalProperties: { type: 'string' } },
+                'page-id': { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+            },
+            required: ['$schema', 'page_title'],
+        };
+
+        assert.strictEqual(schemaToTypeScript(schema), [
+            '// Generated by jsonschema-tools from /mediawiki/page-create/1.0.0. Do not edit.',
+            '',
+            '/**',
+            ' * A page was created',
+            ' */',
+            'export interface MediawikiPageCreate {',
+            '    $schema: string;',
+            '    /**',
+            '     * Title of the page',
+            '     */',
+            '    page_title: string;',
+            '    namespace?: 0 | 1;',
+            '    state?: "draft" | "published" | null;',
+            '    tags?: string[];',
+            '    revisions?: {',
+            '        rev_id: number;',
+            '    }[];',
+            '    labels?: { [key: string]: string };',
+            '    "page-id"?: string | number;',
+            '}',
+            '',
+        ].join('\n'));
+    });
+
+    it('should convert unions to parenthesized array item types', () => {
+        const typeScript = schemaToTypeScript({
+            title: 'union',
+            type: 'array',
+            items: { type: ['string', 'integer'] },
+        });
+        assert.ok(typeScript.endsWith('export type Union = (string | number)[];\n'));
+    });
+});
+
+describe('Schema example generation', function() {
+    const schema = {
+        title: 'examples_test',
+        $id: '/examples_test/1.0.0',
+        $schema: 'https://json-schema.org/draft-07/schema#',
+        type: 'object',
+        additionalProperties: false,
+        required: ['$schema', 'color'],
+        properties: {
+            $schema: { type: 'string' },
+            color: { type: 'string', enum: ['red', 'green', 'blue'] },
+            count: { type: 'integer', minimum: 0, maximum: 100 },
+            name: { type: 'string', maxLength: 20 },
+            nested: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['id'],
+                properties: {
+                    id: { type: 'integer', minimum: 0, maximum: 1000 },
+                    label: { type: 'string', maxLength: 20 },
+                },
+            },
+        },
+    };
+
+    it('should generate reproducible examples for a seed', () => {
+        const examples = generateSchemaExamples(schema, 6, 'abc');
+        assert.strictEqual(examples.length, 6);
+        assert.deepStrictEqual(generateSchemaExamples(schema, 6, 'abc'), examples);
+        assert.notDeepStrictEqual(generateSchemaExamples(schema, 6, 'abcd'), examples);
+        examples.forEach(example => assert.strictEqual(example.$schema, schema.$id));
+    });
+
+    it('should systematically cover enum values and optional properties', () => {
+        const examples = generateSchemaExamples(schema, 6, 1);
+        assert.deepStrictEqual(
+            examples.map(example => example.color),
+            ['red', 'green', 'blue', 'red', 'green', 'blue']
+        );
+        // The first example has all optional properties, the second none.
+        assert.deepStrictEqual(_.keys(examples[0]).sort(), ['$schema', 'color', 'count', 'name', 'nested']);
+        assert.deepStrictEqual(_.keys(examples[0].nested).sort(), ['id', 'label']);
+        assert.deepStrictEqual(_.keys(examples[1]).sort(), ['$schema', 'color']);
+    });
+
+    it('should fail if a generated example does not validate', () => {
+        // Every object matches both oneOf schemas.
+        const ambiguousSchema = {
+            type: 'object',
+            oneOf: [
+                { type: 'object', properties: { a: { type: 'string' } } },
+                { type: 'object', properties: { b: { type: 'string' } } },
+            ],
+        };
+        assert.throws(
+            () => generateSchemaExamples(ambiguousSchema, 1, 0),
+            /Generated example 0 did not validate against schema/
+        );
+    });
+
+    it('should only use default values and static formats in the first example', () => {
+        const defaultSchema = {
+            $id: '/default/1.0.0',
+            type: 'object',
+            required: ['name', 'dt', 'uri'],
+            properties: {
+                name: { type: 'string', default: 'default name' },
+                dt: { type: 'string', format: 'date-time' },
+                uri: { type: 'string', format: 'uri-reference' },
+            },
+        };
+        const examples = generateSchemaExamples(defaultSchema, 5, 0);
+        assert.strictEqual(examples[0].name, 'default name');
+        assert.strictEqual(examples[0].uri, 'http://example.org');
+        ['name', 'dt', 'uri'].forEach((field) => {
+            assert.strictEqual(_.uniq(_.map(examples, field)).length, 5, `${field} values must vary`);
+        });
+        assert.deepStrictEqual(generateSchemaExamples(defaultSchema, 5, 0), examples);
+        // The static formats are restored after generating random ones.
+        assert.deepStrictEqual(generateSchemaExamples(defaultSchema, 1, 1), [examples[0]]);
+    });
+
+    it('should name the schema that examples can not be generated for', async () => {
+        const basicSchema = await materializeSchema(
+            yaml.safeLoad(await fse.readFile(
+                path.join(__dirname, 'fixtures/schemas/basic/current.yaml'), 'utf-8'
+            )),
+            readConfig({ schemaBaseUris: [path.resolve(__dirname, 'fixtures/schemas')] }, true)
+        );
+        assert.throws(
+            () => generateSchemaExamples(basicSchema, 5, 0),
+            /^Error: Generated example 0 did not validate against schema basic: data\/test_oneof must match exactly one schema in oneOf$/
+        );
+    });
+});
+
+describe('Event validation', function() {
+    let options;
+
+    before('Reading config', function() {
+        options = readConfig({ schemaBaseUris: [path.resolve(__dirname, 'fixtures/schemas')] }, true);
+    });
+
+    it('should parse JSON and newline delimited JSON events', () => {
+        assert.deepStrictEqual(parseEvents('{"a": 1}'), [{ position: 1, event: { a: 1 } }]);
+        assert.deepStrictEqual(
+            parseEvents('[{"a": 1}, {"a": 2}]'),
+            [{ position: 1, event: { a: 1 } }, { position: 2, event: { a: 2 } }]
+        );
+
+        const parsedEvents = parseEvents('{"a": 1}\n\n{"a": \n{"a": 3}\n');
+        assert.deepStrictEqual(_.map(parsedEvents, 'position'), [1, 3, 4]);
+        assert.deepStrictEqual(parsedEvents[2].event, { a: 3 });
+        assert.ok(parsedEvents[1].error.startsWith('Failed parsing event: '));
+    });
+
+    it('should validate events against the schemas in their $schema field', async () => {
+        const parsedEvents = parseEvents([
+            '{"$schema": "/common/1.0.0", "dt": "2020-06-25T00:00:00Z"}',
+            '{"$schema": "/common/1.0.0", "dt": 1}',
+            '{"dt": "2020-06-25T00:00:00Z"}',
+            '{"$schema": "/nonexistent/1.0.0"}',
+        ].join('\n'));
+        const results = await validateEvents(parsedEvents, options);
+
+        assert.deepStrictEqual(results[0].errors, []);
+        assert.strictEqual(results[0].schemaId, '/common/1.0.0');
+        assert.deepStrictEqual(results[1].errors, ['data/dt must be string']);
+        assert.deepStrictEqual(results[2].errors, ['Event does not have a $schema field']);
+        assert.ok(results[3].errors[0].startsWith('Failed loading schema /nonexistent/1.0.0: '));
+
+        assert.deepStrictEqual(
+            formatEventValidationErrors(results.slice(0, 3), 'events.ndjson').split('\n'),
+            [
+                'events.ndjson:2: data/dt must be string (/common/1.0.0)',
+                'events.ndjson:3: Event does not have a $schema field',
+            ]
+        );
+    });
+});
+
+describe('Event validator', function() {
+    let jsTools;
+    let options;
+    let lookups;
+
+    beforeEach('Counting schema lookups', function() {
+        jsTools = rewire('../lib/jsonschema-tools.js');
+        const getSchemaById = jsTools.__get__('getSchemaById');
+        lookups = [];
+        jsTools.__set__('getSchemaById', (schemaId, opts) => {
+            lookups.push(schemaId);
+            return getSchemaById(schemaId, opts);
+        });
+        options = jsTools.readConfig({
+            schemaBaseUris: [path.resolve(__dirname, 'fixtures/schemas')],
+            eventValidatorCacheSize: 2,
+        }, true);
+    });
+
+    it('should validate events against their $schema', async () => {
+        const eventValidator = jsTools.createEventValidator(options);
+        assert.deepStrictEqual(
+            await eventValidator.validate({ $schema: '/common/1.0.0', dt: '2020-06-25T00:00:00Z' }),
+            { valid: true, schemaId: '/common/1.0.0', errors: [] }
+        );
+        assert.deepStrictEqual(
+            await eventValidator.validate({ $schema: '/common/1.0.0', dt: 1 }),
+            { valid: false, schemaId: '/common/1.0.0', errors: ['data/dt must be string'] }
+        );
+        await assert.rejects(eventValidator.validate({ dt: 1 }), /Event does not have a \$schema field/);
+        await assert.rejects(
+            eventValidator.validate({ $schema: '/nonexistent/1.0.0' }),
+            /Failed loading schema \/nonexistent\/1\.0\.0: /
+        );
+    });
+
+    it('should cache compiled schemas, evicting the least recently used', async () => {
+        const eventValidator = jsTools.createEventValidator(options);
+        const validate = schemaId => eventValidator.validate({ $schema: schemaId });
+
+        await validate('/common/1.0.0');
+        await validate('/basic/1.0.0');
+        await validate('/common/1.0.0');
+        assert.deepStrictEqual(lookups, ['/common/1.0.0', '/basic/1.0.0']);
+
+        // /basic/1.0.0 is the least recently used, so it is evicted.
+        await validate('/legacy/1.0.0');
+        await validate('/common/1.0.0');
+        await validate('/basic/1.0.0');
+        assert.deepStrictEqual(lookups.slice(2), ['/legacy/1.0.0', '/basic/1.0.0']);
+    });
+
+    it('should not cache failed schema lookups', async () => {
+        const eventValidator = jsTools.createEventValidator(options);
+        await assert.rejects(eventValidator.validate({ $schema: '/nonexistent/1.0.0' }));
+        await assert.rejects(eventValidator.validate({ $schema: '/nonexistent/1.0.0' }));
+        assert.deepStrictEqual(lookups, ['/nonexistent/1.0.0', '/nonexistent/1.0.0']);
+    });
+});
+
+describe('JSONSchema drafts', function() {
+    const draft2020Schema = {
+        title: 'drafts',
+        $id: '/drafts/1.0.0',
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        $defs: {
+            point: {
+                type: 'array',
+                prefixItems: [{ type: 'number' }, { type: 'number' }],
+            },
+        },
+        allOf: [
+            {
+                properties: { a: { type: 'string' } },
+                dependentRequired: { a: ['b'] },
+            },
+            {
+                properties: { b: { type: 'string' } },
+                dependentRequired: { a: ['c'] },
+            },
+        ],
+        properties: {
+            $schema: { type: 'string' },
+            location: { $ref: '#/$defs/point' },
+            c: { type: 'string' },
+        },
+        unevaluatedProperties: false,
+    };
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true);
+    });
+
+    it('should choose the draft from $schema or defaultSchemaDraft', () => {
+        assert.strictEqual(schemaDraft({ $schema: 'https://json-schema.org/draft-07/schema#' }, options), 'draft-07');
+        assert.strictEqual(schemaDraft({ $schema: 'http://json-schema.org/draft-07/schema#' }, options), 'draft-07');
+        assert.strictEqual(schemaDraft({ $schema: 'https://json-schema.org/draft/2019-09/schema' }, options), '2019-09');
+        assert.strictEqual(schemaDraft(draft2020Schema, options), '2020-12');
+        assert.strictEqual(schemaDraft({}, options), 'draft-07');
+        assert.strictEqual(schemaDraft({}, { ...options, defaultSchemaDraft: '2020-12' }), '2020-12');
+        assert.throws(
+            () => schemaDraft({}, { ...options, defaultSchemaDraft: 'draft-04' }),
+            /Invalid defaultSchemaDraft draft-04/
+        );
+    });
+
+    it('should dereference and merge 2019-09 and 2020-12 keywords', async () => {
+        const schema = await dereferenceSchema(_.cloneDeep(draft2020Schema), options);
+        assert.ok(_.isUndefined(schema.allOf));
+        assert.deepStrictEqual(schema.properties.location, draft2020Schema.$defs.point);
+        assert.deepStrictEqual(_.keys(schema.properties).sort(), ['$schema', 'a', 'b', 'c', 'location']);
+        assert.deepStrictEqual(schema.dependentRequired, { a: ['b', 'c'] });
+        assert.strictEqual(schema.unevaluatedProperties, false);
+    });
+
+    it('should validate events with the draft of their schema', async () => {
+        const schema = await dereferenceSchema(_.cloneDeep(draft2020Schema), options);
+        await fse.mkdirp(fixture.resolve('schemas/drafts'));
+        await fse.writeFile(fixture.resolve('schemas/drafts/1.0.0'), JSON.stringify(schema));
+        const eventValidator = createEventValidator(options);
+        const validate = event => eventValidator.validate({ $schema: '/drafts/1.0.0', ...event });
+
+        assert.ok((await validate({ a: 'a', b: 'b', c: 'c', location: [1, 2, 'extra'] })).valid);
+        assert.deepStrictEqual(
+            (await validate({ a: 'a', b: 'b' })).errors,
+            ['data must have properties b, c when property a is present']
+        );
+        assert.deepStrictEqual(
+            (await validate({ location: ['1', 2] })).errors,
+            ['data/location/0 must be number']
+        );
+        assert.deepStrictEqual(
+            (await validate({ d: 'd' })).errors,
+            ['data must NOT have unevaluated properties']
+        );
+
+        // The draft-07 Ajv does not know these keywords, and ignores them.
+        assert.ok(createAjv('draft-07').validate(_.omit(schema, '$schema'), { d: 'd' }));
+    });
+
+    it('should check compatibility of 2019-09 and 2020-12 keywords', () => {
+        const oldSchema = {
+            type: 'object',
+            dependentRequired: { a: ['b'] },
+            properties: {
+                location: { type: 'array', prefixItems: [{ type: 'number' }] },
+                names: { type: 'array', prefixItems: [{ type: 'string' }, { type: 'string' }] },
+            },
+        };
+        const newSchema = _.cloneDeep(oldSchema);
+        assert.deepStrictEqual(checkCompatibility(newSchema, oldSchema, options), []);
+
+        newSchema.dependentRequired.a.push('c');
+        newSchema.properties.location.prefixItems.push({ type: 'number' });
+        newSchema.properties.names.prefixItems.pop();
+        newSchema.unevaluatedProperties = false;
+        assert.deepStrictEqual(
+            checkCompatibility(newSchema, oldSchema, options).map(v => [v.path, v.rule]).sort(),
+            [
+                ['.dependentRequired', 'dependent-required-modified'],
+                ['.properties.location.prefixItems.1', 'prefix-items-added'],
+                ['.properties.names.prefixItems.1', 'field-removed'],
+                ['.unevaluatedProperties', 'constraint-tightened'],
+            ]
+        );
+    });
+});
+
+describe('Avro schema conversion', function() {
+    it('should convert a materialized schema to an Avro record', () => {
+        const basicProperties = expectedBasicDereferencedSchema.properties;
+        const expectedAvroSchema = {
+            type: 'record',
+            name: 'basic',
+            doc: 'Schema used for simple tests',
+            fields: [
+                { name: '_schema', doc: basicProperties.$schema.description.trim(), type: 'string' },
+                { name: 'dt', type: ['null', 'string'], default: null },
+                { name: 'test', type: 'string' },
+                { name: 'test_number', type: ['null', 'double'], default: null },
+                { name: 'test_integer', type: ['null', 'long'], default: null },
+                {
+                    name: 'test_array',
+                    type: ['null', { type: 'array', items: 'string' }],
+                    default: null
+                },
+                {
+                    name: 'test_map',
+                    doc: basicProperties.test_map.description.trim(),
+                    type: ['null', { type: 'map', values: 'string' }],
+                    default: null
+                },
+                {
+                    name: 'test_enum',
+                    doc: basicProperties.test_enum.description,
+                    type: ['null', {
+                        type: 'enum',
+                        name: 'test_enum',
+                        namespace: 'basic',
+                        symbols: ['val3', 'val1', 'val2']
+                    }],
+                    default: null
+                },
+                {
+                    name: 'test_oneof',
+                    type: ['null', {
+                        type: 'record',
+                        name: 'test_oneof',
+                        namespace: 'basic',
+                        fields: [
+                            { name: 'test', type: 'string' },
+                            { name: 'test2', type: ['null', 'string'], default: null },
+                        ]
+                    }],
+                    default: null
+                },
+                { name: 'test_uri', type: ['null', 'string'], default: null },
+            ]
+        };
+        assert.deepStrictEqual(schemaToAvro(expectedBasicDereferencedSchema), expectedAvroSchema);
+    });
+
+    it('should use the schema title for the Avro name and namespace', () => {
+        const avroSchema = schemaToAvro({
+            title: 'mediawiki/page-create',
+            type: 'object',
+            properties: {
+                page: {
+                    type: 'object',
+                    properties: { page_id: { type: ['integer', 'null'] } },
+                    required: ['page_id'],
+                },
+            },
+            required: ['page'],
+        });
+        assert.strictEqual(avroSchema.name, 'page_create');
+        assert.strictEqual(avroSchema.namespace, 'mediawiki');
+        assert.deepStrictEqual(avroSchema.fields[0].type, {
+            type: 'record',
+            name: 'page',
+            namespace: 'mediawiki.page_create',
+            fields: [{ name: 'page_id', type: ['null', 'long'] }],
+        });
+    });
+
+    const unconvertibleTests = [
+        {
+            name: 'union types',
+            schema: { type: ['string', 'integer'] },
+            expected: /#\/properties\/field to Avro: union type/,
+        },
+        {
+            name: 'enum values that are not Avro symbols',
+            schema: { type: 'string', enum: ['a-b'] },
+            expected: /#\/properties\/field to Avro: enum value "a-b"/,
+        },
+        {
+            name: 'arrays without items',
+            schema: { type: 'array' },
+            expected: /#\/properties\/field to Avro: array type must specify/,
+        },
+        {
+            name: 'objects without properties or additionalProperties schema',
+            schema: { type: 'object' },
+            expected: /#\/properties\/field to Avro: object type must specify/,
+        },
+        {
+            name: 'anyOf',
+            schema: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+            expected: /#\/properties\/field to Avro: anyOf is not supported/,
+        },
+        {
+            name: 'oneOf schemas of different types',
+            schema: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+            expected: /#\/properties\/field to Avro: oneOf schemas must all have the same type/,
+        },
+    ];
+
+    unconvertibleTests.forEach((test) => {
+        it(`should fail to convert ${test.name}`, () => {
+            assert.throws(
+                () => schemaToAvro({
+                    title: 'unconvertible',
+                    type: 'object',
+                    properties: { field: test.schema }
+                }),
+                test.expected
+            );
+        });
+    });
+});
+
+describe('Hive DDL generation', function() {
+    const { hiveAlterTableStatements } = require('../lib/hive');
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true);
+    });
+
+    it('should create a Hive table for the latest materialized version', () => {
+        const ddl = schemaHiveDdl('basic', [], undefined, options);
+        assert.ok(ddl.startsWith('CREATE TABLE `basic` (\n  `$schema` STRING COMMENT \'The URI'));
+        assert.ok(ddl.includes('\n  `test_map` MAP<STRING, STRING> COMMENT \'We want to support \\\'map\\\' types'));
+        assert.ok(ddl.endsWith(
+            '\n  `test_enum` STRING COMMENT \'Only new entries to an enum should be allowed, ' +
+            'and they can be provided in any order.\',\n' +
+            '  `test_oneof` STRUCT<`test`: STRING, `test2`: STRING>\n);'
+        ));
+    });
+
+    it('should create a Hive table for a given version and table name', () => {
+        const ddl = schemaHiveDdl('basic', ['1.0.0'], 'event.basic', options);
+        assert.ok(ddl.startsWith('CREATE TABLE `event`.`basic` ('));
+        assert.ok(!ddl.includes('test_number'));
+    });
+
+    it('should only add new columns when evolving a Hive table', () => {
+        assert.strictEqual(
+            schemaHiveDdl('basic', ['1.0.0', '1.1.0'], undefined, options),
+            'ALTER TABLE `basic` ADD COLUMNS (\n' +
+            '  `test_number` DOUBLE,\n' +
+            '  `test_array` ARRAY<STRING>,\n' +
+            '  `test_oneof` STRUCT<`test`: STRING, `test2`: STRING>\n' +
+            ');'
+        );
+        assert.strictEqual(schemaHiveDdl('basic', ['1.1.0', '1.1.0'], undefined, options), '');
+    });
+
+    it('should fail to evolve a Hive table if a column was removed', () => {
+        assert.throws(
+            () => schemaHiveDdl('basic', ['1.1.0', '1.0.0'], undefined, options),
+            /Cannot evolve Hive table basic additively: column test_number was removed/
+        );
+        assert.throws(
+            () => schemaHiveDdl('basic', ['1.0.0', '9.9.9'], undefined, options),
+            /Version 9.9.9 of schema basic has not been materialized/
+        );
+    });
+
+    it('should change struct columns with added fields', () => {
+        const oldSchema = {
+            title: 'test/struct',
+            type: 'object',
+            properties: {
+                meta: { type: 'object', properties: { id: { type: 'string' } } },
+            },
+        };
+        const newSchema = _.cloneDeep(oldSchema);
+        newSchema.properties.meta.properties.dt = { type: 'string' };
+        assert.deepStrictEqual(hiveAlterTableStatements(newSchema, oldSchema), [
+            'ALTER TABLE `test_struct` CHANGE COLUMN `meta` `meta` STRUCT<`id`: STRING, `dt`: STRING>;'
+        ]);
+
+        newSchema.properties.meta.properties.id.type = 'integer';
+        assert.throws(
+            () => hiveAlterTableStatements(newSchema, oldSchema),
+            /column meta type changed from STRUCT<`id`: STRING> to STRUCT<`id`: BIGINT, `dt`: STRING>/
+        );
+    });
+
+    it('should match struct fields by name when evolving a Hive table', () => {
+        const oldSchema = {
+            title: 'test/struct',
+            type: 'object',
+            properties: {
+                meta: { type: 'object', properties: { id: { type: 'string' } } },
+            },
+        };
+        const newSchema = _.cloneDeep(oldSchema);
+        newSchema.properties.meta.properties = {
+            dt: { type: 'string' },
+            ID: { type: 'string' },
+        };
+        assert.deepStrictEqual(hiveAlterTableStatements(newSchema, oldSchema), [
+            'ALTER TABLE `test_struct` CHANGE COLUMN `meta` `meta` STRUCT<`id`: STRING, `dt`: STRING>;'
+        ]);
+
+        delete newSchema.properties.meta.properties.ID;
+        assert.throws(
+            () => hiveAlterTableStatements(newSchema, oldSchema),
+            /column meta type changed from STRUCT<`id`: STRING> to STRUCT<`dt`: STRING>/
+        );
+    });
+
+    it('should keep the order of existing struct fields when evolving a Hive table', () => {
+        const oldSchema = {
+            title: 'test/struct',
+            type: 'object',
+            properties: {
+                s: {
+                    type: 'object',
+                    properties: { a: { type: 'string' }, b: { type: 'string' } },
+                },
+            },
+        };
+        const newSchema = _.cloneDeep(oldSchema);
+        newSchema.properties.s.properties = {
+            a: { type: 'string' },
+            c: { type: 'string' },
+            b: { type: 'string' },
+        };
+        assert.deepStrictEqual(hiveAlterTableStatements(newSchema, oldSchema), [
+            'ALTER TABLE `test_struct` CHANGE COLUMN `s` `s` ' +
+            'STRUCT<`a`: STRING, `b`: STRING, `c`: STRING>;'
+        ]);
+
+        newSchema.properties.s.properties = {
+            b: { type: 'string' },
+            a: { type: 'string' },
+        };
+        assert.deepStrictEqual(hiveAlterTableStatements(newSchema, oldSchema), []);
+    });
+});
+
+describe('Schema registry server', function() {
+    const http = require('http');
+    let fixture;
+    let server;
+
+    /**
+     * Makes a request to the test server and resolves with its statusCode, headers and body.
+     * @param {string} requestPath
+     * @param {Object} headers
+     * @param {string} method
+     * @return {Promise<Object>}
+     */
+    function request(requestPath, headers = {}, method = 'GET') {
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                port: server.address().port,
+                path: requestPath,
+                headers,
+                method
+            }, (res) => {
+                let body = '';
+                res.on('data', (chunk) => {
+                    body += chunk;
+                });
+                res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    before('Starting schema server', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        server = createSchemaServer(readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true));
+        await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    });
+
+    after('Stopping schema server', function(done) {
+        server.close(done);
+    });
+
+    it('should serve schemas at their $id paths in the negotiated content type', async () => {
+        const yamlResponse = await request('/basic/1.0.0');
+        assert.strictEqual(yamlResponse.statusCode, 200);
+        assert.strictEqual(yamlResponse.headers['content-type'], 'application/x-yaml');
+        assert.strictEqual(yaml.safeLoad(yamlResponse.body).$id, '/basic/1.0.0');
+
+        const jsonResponse = await request('/basic/1.0.0', { Accept: 'text/html, application/json;q=0.9' });
+        assert.strictEqual(jsonResponse.headers['content-type'], 'application/json');
+        assert.strictEqual(JSON.parse(jsonResponse.body).$id, '/basic/1.0.0');
+
+        const extensionResponse = await request('/basic/1.0.0.json', { Accept: 'application/x-yaml' });
+        assert.strictEqual(extensionResponse.headers['content-type'], 'application/json');
+        assert.strictEqual(JSON.parse(extensionResponse.body).$id, '/basic/1.0.0');
+    });
+
+    it('should serve the latest version of schemas', async () => {
+        const response = await request('/basic/latest.json');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(JSON.parse(response.body).$id, '/basic/1.1.0');
+    });
+
+    it('should list schema titles and versions', async () => {
+        const response = await request('/', { Accept: 'application/json' });
+        assert.deepStrictEqual(JSON.parse(response.body), {
+            basic: ['1.0.0', '1.1.0'],
+            common: ['1.0.0'],
+            incorrect: ['1.0.0'],
+            legacy: ['1.0.0', '1.1.0'],
+        });
+        const titleResponse = await request('/legacy/', { Accept: 'application/json' });
+        assert.deepStrictEqual(JSON.parse(titleResponse.body), ['1.0.0', '1.1.0']);
+    });
+
+    it('should respond with 404 for unknown schemas and 405 for non GET requests', async () => {
+        assert.strictEqual((await request('/basic/9.9.9')).statusCode, 404);
+        assert.strictEqual((await request('/basic/1.0.0', {}, 'POST')).statusCode, 405);
+    });
+
+    it('should respond with 400 for malformed request paths', async () => {
+        const response = await request('/basic/%E0%A4%A', { Accept: 'application/json' });
+        assert.strictEqual(response.statusCode, 400);
+        assert.ok(JSON.parse(response.body).error.startsWith('Invalid request path /basic/%E0%A4%A'));
+    });
+
+    /**
+     * Asserts that the test server looks up newly materialized schemas after ttl seconds.
+     * @param {number} ttl
+     */
+    async function assertIndexRefreshedAfter(ttl) {
+        const schemaPath = fixture.resolve('schemas/basic/1.2.0.yaml');
+        const schema = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/basic/1.1.0.yaml'), 'utf-8')
+        );
+        const now = Date.now;
+        const indexedAt = now() + 60000;
+        try {
+            // Make the server index schemas again, before the new version is materialized.
+            Date.now = () => indexedAt;
+            await request('/');
+            await fse.writeFile(schemaPath, yaml.dump({ ...schema, $id: '/basic/1.2.0' }));
+            assert.strictEqual((await request('/basic/1.2.0')).statusCode, 404);
+
+            Date.now = () => indexedAt + ttl * 1000;
+            const response = await request('/basic/latest.json');
+            assert.strictEqual(JSON.parse(response.body).$id, '/basic/1.2.0');
+        } finally {
+            Date.now = now;
+            await fse.remove(schemaPath);
+        }
+    }
+
+    it('should look up newly materialized schemas after serverIndexTtl', async () => {
+        await assertIndexRefreshedAfter(5);
+    });
+
+    it('should use default options not set in options that have already been read', async () => {
+        const testServer = server;
+        // The config has already been read, so readConfig does not merge defaultOptions.
+        server = createSchemaServer(readConfig({ schemaBasePath: fixture.resolve('schemas/') }));
+        await new Promise(resolve => server.listen(0, 'localhost', resolve));
+        try {
+            const response = await request('/basic/1.0.0');
+            assert.strictEqual(response.headers['content-type'], 'application/x-yaml');
+            await assertIndexRefreshedAfter(defaultOptions.serverIndexTtl);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            server = testServer;
+        }
+    });
+});
+
+describe('$ref resolution report', function() {
+    let fixture;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+    });
+
+    it('should report which base URI each $ref was resolved from and which failed', async () => {
+        const missingBaseUri = fixture.resolve('missing/');
+        const options = readConfig({
+            schemaBaseUris: [missingBaseUri, fixture.resolve('schemas/')],
+        }, true);
+        const schema = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/basic/current.yaml'), 'utf-8')
+        );
+
+        const { schema: dereferencedSchema, refResolutions } = await dereferenceSchemaWithReport(
+            schema, options
+        );
+        assert.ok(dereferencedSchema.properties.$schema);
+        assert.strictEqual(refResolutions.length, 1);
+        assert.strictEqual(refResolutions[0].ref, '/common/1.0.0');
+        assert.strictEqual(
+            refResolutions[0].url, `file://${fixture.resolve('schemas/')}/common/1.0.0`
+        );
+        assert.deepStrictEqual(
+            refResolutions[0].failures.map(failure => failure.url),
+            [`file://${missingBaseUri}/common/1.0.0`]
+        );
+
+        const report = formatRefResolutions(refResolutions).split('\n');
+        assert.strictEqual(
+            report[0], `$ref /common/1.0.0 resolved from ${refResolutions[0].url}`
+        );
+        assert.ok(report[1].startsWith(`  failed file://${missingBaseUri}/common/1.0.0: `));
+    });
+});
+
+describe('Remote schema cache', function() {
+    let fixture;
+    let server;
+    let requestCount;
+
+    beforeEach('Starting schema server', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        server = createSchemaServer(readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true));
+        requestCount = 0;
+        server.on('request', () => requestCount++);
+        await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    });
+
+    afterEach('Stopping schema server', function(done) {
+        if (server.listening) {
+            server.close(done);
+        } else {
+            done();
+        }
+    });
+
+    it('should cache remote schemas in process and on disk, and use the cache when offline', async () => {
+        // Use a rewired module to get a fresh in-process cache.
+        const jsTools = rewire('../lib/jsonschema-tools.js');
+        const remoteSchemaCache = jsTools.__get__('remoteSchemaCache');
+        const options = jsTools.readConfig({
+            schemaBaseUris: [`http://localhost:${server.address().port}`],
+            schemaCacheDir: fixture.resolve('cache/'),
+        }, true);
+        const schema = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/basic/current.yaml'), 'utf-8')
+        );
+
+        const dereferencedSchema = await jsTools.dereferenceSchema(_.cloneDeep(schema), options);
+        assert.ok(dereferencedSchema.properties.$schema);
+        await jsTools.dereferenceSchema(_.cloneDeep(schema), options);
+        assert.strictEqual(requestCount, 1);
+        assert.strictEqual((await fse.readdir(fixture.resolve('cache/'))).length, 1);
+
+        // Once the in-process cache is empty, the on-disk cache should be used.
+        remoteSchemaCache.clear();
+        await jsTools.dereferenceSchema(_.cloneDeep(schema), options);
+        assert.strictEqual(requestCount, 1);
+
+        // A TTL of 0 should disable the cache.
+        await jsTools.dereferenceSchema(_.cloneDeep(schema), { ...options, schemaCacheTtl: 0 });
+        assert.strictEqual(requestCount, 2);
+
+        // When offline, stale cached schemas are used, and nothing is fetched.
+        await new Promise(resolve => server.close(resolve));
+        remoteSchemaCache.clear();
+        const offlineOptions = { ...options, schemaCacheOffline: true, schemaCacheTtl: 0 };
+        assert.deepStrictEqual(
+            await jsTools.dereferenceSchema(_.cloneDeep(schema), offlineOptions),
+            dereferencedSchema
+        );
+        await assert.rejects(
+            jsTools.getSchemaById('/basic/1.0.0', offlineOptions),
+            /basic\/1\.0\.0 is not in the schema cache/
+        );
+    });
+});
+
+describe('$ref dependency graph', function() {
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+        }, true);
+    });
+
+    /**
+     * Writes a current schema with title in the fixture schemas directory.
+     * @param {string} title
+     * @param {Object} schema
+     */
+    async function writeCurrentSchema(title, schema) {
+        const schemaPath = fixture.resolve(`schemas/${title}/current.yaml`);
+        await fse.mkdirp(path.dirname(schemaPath));
+        await fse.writeFile(schemaPath, yaml.dump({
+            title,
+            $id: `/${title}/1.0.0`,
+            $schema: 'https://json-schema.org/draft-07/schema#',
+            type: 'object',
+            ...schema
+        }));
+    }
+
+    it('should map each current schema to the schemas it $refs', () => {
+        assert.deepStrictEqual(schemaDependencyGraph(options), {
+            basic: ['common'],
+            common: [],
+            incorrect: [],
+            legacy: [],
+        });
+    });
+
+    it('should map fragment $refs to the schemas they $ref', async () => {
+        await writeCurrentSchema('aaa', {
+            properties: {
+                dt: { $ref: '/common/1.0.0#/properties/dt' },
+            },
+        });
+        assert.deepStrictEqual(schemaDependencyGraph(options).aaa, ['common']);
+    });
+
+    it('should format the dependencies of a schema as text or DOT', async () => {
+        await writeCurrentSchema('fragments/meta/deep', {
+            allOf: [{ $ref: '/common/1.0.0' }],
+        });
+        await writeCurrentSchema('aaa', {
+            allOf: [{ $ref: '/fragments/meta/deep/1.0.0' }, { $ref: '/basic/1.0.0' }],
+        });
+        const graph = schemaDependencyGraph(options);
+
+        assert.strictEqual(
+            formatSchemaDependencies(graph, 'aaa'),
+            'aaa\n  fragments/meta/deep\n    common\n  basic\n    common'
+        );
+        assert.strictEqual(
+            formatSchemaDependencies(graph, 'aaa', 'dot'),
+            [
+                'digraph "aaa" {',
+                '    "aaa";',
+                '    "fragments/meta/deep" -> "common";',
+                '    "basic" -> "common";',
+                '    "aaa" -> "fragments/meta/deep";',
+                '    "aaa" -> "basic";',
+                '}',
+            ].join('\n')
+        );
+        assert.throws(() => formatSchemaDependencies(graph, 'nope'), /No current schema with title nope/);
+    });
+
+    it('should materialize schemas after the schemas they $ref', async () => {
+        // The heuristic order used to materialize aaa before fragments/meta/deep.
+        await writeCurrentSchema('fragments/meta/deep', {
+            properties: { deep_field: { type: 'string' } },
+        });
+        await writeCurrentSchema('aaa', {
+            allOf: [{ $ref: '/fragments/meta/deep/1.0.0' }],
+            properties: { aaa_field: { type: 'string' } },
+        });
+
+        await materializeAllSchemas(options);
+        const aaa = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/aaa/1.0.0.yaml'), 'utf-8')
+        );
+        assert.deepStrictEqual(_.keys(aaa.properties).sort(), ['aaa_field', 'deep_field']);
+    });
+
+    it('should check all schemas before materializing any of them', async () => {
+        await writeCurrentSchema('fragments/meta/deep', {
+            properties: { deep_field: { type: 'string' } },
+        });
+        await writeCurrentSchema('aaa', {
+            allOf: [{ $ref: '/fragments/meta/deep/1.0.0' }],
+            properties: { aaa_field: { type: 'string' } },
+        });
+        await materializeAllSchemas(options);
+
+        // aaa $refs a version of fragments/meta/deep that is not materialized yet.
+        await writeCurrentSchema('fragments/meta/deep', {
+            $id: '/fragments/meta/deep/1.1.0',
+            properties: { deep_field: { type: 'string' }, new_field: { type: 'string' } },
+        });
+        await writeCurrentSchema('aaa', {
+            $id: '/aaa/1.1.0',
+            allOf: [{ $ref: '/fragments/meta/deep/1.1.0' }],
+            properties: { aaa_field: { type: 'integer' } },
+        });
+        const jsTools = rewire('../lib/jsonschema-tools.js');
+        jsTools.__set__('gitModifiedCurrentSchemaPaths', async () => [
+            fixture.resolve('schemas/aaa/current.yaml'),
+            fixture.resolve('schemas/fragments/meta/deep/current.yaml'),
+        ]);
+        const enforceOptions = { ...options, enforceCompatibilityOnMaterialize: true };
+        await assert.rejects(
+            jsTools.materializeModifiedSchemas(enforceOptions),
+            /aaa\/1\.1\.0: it is not compatible/
+        );
+        assert.ok(!fse.existsSync(fixture.resolve('schemas/fragments/meta/deep/1.1.0.yaml')));
+
+        await writeCurrentSchema('aaa', {
+            $id: '/aaa/1.1.0',
+            allOf: [{ $ref: '/fragments/meta/deep/1.1.0' }],
+            properties: { aaa_field: { type: 'string' } },
+        });
+        await jsTools.materializeModifiedSchemas(enforceOptions);
+        const aaa = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/aaa/1.1.0.yaml'), 'utf-8')
+        );
+        assert.deepStrictEqual(
+            _.keys(aaa.properties).sort(), ['aaa_field', 'deep_field', 'new_field']
+        );
+    });
+
+    it('should find schemas that transitively $ref modified schemas', async () => {
+        await writeCurrentSchema('aaa', {
+            allOf: [{ $ref: '/basic/1.0.0' }],
+        });
+        const jsTools = rewire('../lib/jsonschema-tools.js');
+        const schemaDependents = jsTools.__get__('schemaDependents');
+        const graph = schemaDependencyGraph(options);
+
+        assert.deepStrictEqual(schemaDependents(graph, ['common']), ['basic', 'aaa']);
+        assert.deepStrictEqual(schemaDependents(graph, ['common', 'basic']), ['aaa']);
+        assert.deepStrictEqual(schemaDependents(graph, ['legacy']), []);
+    });
+
+    it('should materialize dependents of modified schemas if shouldMaterializeDependents', async () => {
+        const jsTools = rewire('../lib/jsonschema-tools.js');
+        const commonPath = fixture.resolve('schemas/common/current.yaml');
+        jsTools.__set__('gitModifiedCurrentSchemaPaths', async () => [commonPath]);
+
+        // By default, dependents are only reported.
+        const warnings = [];
+        const log = {
+            ..._.fromPairs(['trace', 'debug', 'info', 'error', 'fatal'].map(level => [level, _.noop])),
+            warn: message => warnings.push(message),
+        };
+        let files = await jsTools.materializeModifiedSchemas({ ...options, log });
+        assert.ok(files.includes(fixture.resolve('schemas/common/1.0.0.yaml')));
+        assert.ok(!fse.existsSync(fixture.resolve('schemas/basic/1.2.0.yaml')));
+        assert.strictEqual(warnings.length, 1);
+        assert.ok(warnings[0].endsWith(fixture.resolve('schemas/basic/current.yaml')));
+
+        files = await jsTools.materializeModifiedSchemas(
+            { ...options, shouldMaterializeDependents: true }
+        );
+        assert.ok(files.includes(fixture.resolve('schemas/basic/1.2.0.yaml')));
+        // Dependents are materialized after the schemas they $ref.
+        assert.ok(
+            files.indexOf(fixture.resolve('schemas/common/1.0.0.yaml')) <
+            files.indexOf(fixture.resolve('schemas/basic/1.2.0.yaml'))
+        );
+    });
+
+    it('should fail if there is a $ref dependency cycle', async () => {
+        const commonPath = fixture.resolve('schemas/common/current.yaml');
+        const common = yaml.safeLoad(await fse.readFile(commonPath, 'utf-8'));
+        common.allOf = [{ $ref: '/basic/1.0.0' }];
+        await fse.writeFile(commonPath, yaml.dump(common));
+
+        const graph = schemaDependencyGraph(options);
+        assert.throws(
+            () => formatSchemaDependencies(graph, 'basic'),
+            /Found \$ref dependency cycle: basic -> common -> basic/
+        );
+        await assert.rejects(
+            materializeAllSchemas(options),
+            /Found \$ref dependency cycle: common -> basic -> common/
+        );
+    });
+});
+
+describe('Published schema version immutability', function() {
+    const execSync = require('child_process').execSync;
+    let fixture;
+
+    function git(command) {
+        return execSync(
+            `git -c user.name=test -c user.email=test@example.org ${command}`,
+            { cwd: fixture.resolve('schemas/'), stdio: 'pipe' }
+        );
+    }
+
+    beforeEach('Copying fixtures to temp git repository', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        git('init -q');
+        git('add .');
+        git('commit -q -m fixtures');
+    });
+
+    it('should refuse to overwrite a committed versioned schema file unless forceOverwrite', async () => {
+        const options = readConfig({
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+            schemaBaseUris: [fixture.resolve('schemas/')],
+        }, true);
+
+        const schemaDirectory = fixture.resolve('schemas/legacy');
+        const schema = yaml.safeLoad(
+            await fse.readFile(path.join(schemaDirectory, 'current.yaml'), 'utf-8')
+        );
+        const publishedContent = await fse.readFile(path.join(schemaDirectory, '1.1.0.yaml'), 'utf-8');
+
+        // Modify current without bumping its 1.1.0 version.
+        schema.properties.new_field = { type: 'string' };
+        await assert.rejects(
+            materializeSchemaToPath(schemaDirectory, schema, options),
+            /Refusing to overwrite .*1\.1\.0\.yaml/
+        );
+        assert.strictEqual(
+            await fse.readFile(path.join(schemaDirectory, '1.1.0.yaml'), 'utf-8'),
+            publishedContent
+        );
+
+        await materializeSchemaToPath(
+            schemaDirectory, schema, { ...options, forceOverwrite: true }
+        );
+        const overwrittenSchema = yaml.safeLoad(
+            await fse.readFile(path.join(schemaDirectory, '1.1.0.yaml'), 'utf-8')
+        );
+        assert.deepStrictEqual(overwrittenSchema.properties.new_field, { type: 'string' });
+    });
+
+    it('structure tests should fail if a versioned schema file was modified after its first commit', async () => {
+        const structureTests = rewire('../lib/tests/structure');
+        const assertUnmodifiedSinceFirstCommit = structureTests.__get__('assertUnmodifiedSinceFirstCommit');
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+
+        const legacyInfo = () => findSchemasByTitle(options).legacy
+            .find(schemaInfo => schemaInfo.version === '1.1.0' && !schemaInfo.current);
+
+        await assertUnmodifiedSinceFirstCommit(
+            legacyInfo(), await gitFirstCommits(options), options
+        );
+
+        const schemaPath = fixture.resolve('schemas/legacy/1.1.0.yaml');
+        const schema = yaml.safeLoad(await fse.readFile(schemaPath, 'utf-8'));
+        schema.description = 'Modified after publishing';
+        await fse.writeFile(schemaPath, yaml.dump(schema));
+        git('commit -q -a -m modified');
+
+        await assert.rejects(
+            assertUnmodifiedSinceFirstCommit(legacyInfo(), await gitFirstCommits(options), options),
+            assert.AssertionError
+        );
+    });
+
+    it('should find the commits that first added files with a single git log', async () => {
+        const options = readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true);
+        const firstCommit = git('rev-parse HEAD').toString().trim();
+        await fse.writeFile(fixture.resolve('schemas/legacy/2.0.0.yaml'), 'title: legacy\n');
+        git('add .');
+        git('commit -q -m added');
+        const addedCommit = git('rev-parse HEAD').toString().trim();
+        await fse.appendFile(fixture.resolve('schemas/legacy/1.1.0.yaml'), '# Modified\n');
+        git('commit -q -a -m modified');
+        await fse.writeFile(fixture.resolve('schemas/legacy/3.0.0.yaml'), 'title: legacy\n');
+
+        const firstCommits = await gitFirstCommits(options);
+        assert.strictEqual(firstCommits[fixture.resolve('schemas/legacy/1.1.0.yaml')], firstCommit);
+        assert.strictEqual(firstCommits[fixture.resolve('schemas/legacy/2.0.0.yaml')], addedCommit);
+        assert.ok(!_.has(firstCommits, fixture.resolve('schemas/legacy/3.0.0.yaml')));
+    });
+
+    it('should only treat files that are not committed as having no committed content', async () => {
+        const options = readConfig({ schemaBasePath: fixture.resolve('schemas/') }, true);
+        const schemaPath = fixture.resolve('schemas/legacy/1.1.0.yaml');
+        assert.strictEqual(
+            await gitFileContent(schemaPath, 'HEAD', options),
+            await fse.readFile(schemaPath, 'utf-8')
+        );
+        assert.strictEqual(
+            await gitFileContent(fixture.resolve('schemas/legacy/3.0.0.yaml'), 'HEAD', options),
+            null
+        );
+
+        await fse.remove(fixture.resolve('schemas/.git'));
+        assert.strictEqual(await gitFileContent(schemaPath, 'HEAD', options), null);
+        assert.deepStrictEqual(await gitFirstCommits(options), {});
+
+        git('init -q');
+        assert.strictEqual(await gitFileContent(schemaPath, 'HEAD', options), null);
+        assert.deepStrictEqual(await gitFirstCommits(options), {});
+        git('add .');
+        git('commit -q -m fixtures');
+        await assert.rejects(
+            gitFileContent(schemaPath, 'deadbeef', options),
+            /invalid object name/
+        );
+    });
+
+    it('should bump the version of dependents whose published version would change', async () => {
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+            shouldGitAdd: false,
+            shouldMaterializeDependents: true,
+        }, true);
+
+        const commonPath = fixture.resolve('schemas/common/current.yaml');
+        const common = yaml.safeLoad(await fse.readFile(commonPath, 'utf-8'));
+        const aaaPath = fixture.resolve('schemas/aaa/current.yaml');
+        await fse.mkdirp(path.dirname(aaaPath));
+        await fse.writeFile(aaaPath, `# Comments are kept.\n${yaml.dump({
+            title: 'aaa',
+            $id: '/aaa/1.0.0',
+            $schema: 'https://json-schema.org/draft-07/schema#',
+            type: 'object',
+            allOf: [{ $ref: '/common/latest' }],
+        })}`);
+        await materializeSchemaToPath(
+            path.dirname(commonPath), _.cloneDeep(common), { ...options, forceOverwrite: true }
+        );
+        await materializeSchemaToPath(
+            path.dirname(aaaPath), yaml.safeLoad(await fse.readFile(aaaPath, 'utf-8')), options
+        );
+        git('add .');
+        git('commit -q -m aaa');
+        const publishedContent = await fse.readFile(fixture.resolve('schemas/aaa/1.0.0.yaml'), 'utf-8');
+
+        // Add a field to common, which changes the materialized aaa.
+        common.$id = '/common/1.1.0';
+        common.properties.new_field = { type: 'string' };
+        await fse.writeFile(commonPath, yaml.dump(common));
+        const jsTools = rewire('../lib/jsonschema-tools.js');
+        jsTools.__set__('gitModifiedCurrentSchemaPaths', async () => [commonPath]);
+
+        const files = await jsTools.materializeModifiedSchemas(options);
+        assert.ok(files.includes(aaaPath));
+        assert.ok(files.includes(fixture.resolve('schemas/aaa/1.1.0.yaml')));
+        assert.strictEqual(
+            await fse.readFile(fixture.resolve('schemas/aaa/1.0.0.yaml'), 'utf-8'),
+            publishedContent
+        );
+        const aaaContent = await fse.readFile(aaaPath, 'utf-8');
+        assert.ok(aaaContent.startsWith('# Comments are kept.\n'));
+        assert.strictEqual(yaml.safeLoad(aaaContent).$id, '/aaa/1.1.0');
+        const aaa = yaml.safeLoad(
+            await fse.readFile(fixture.resolve('schemas/aaa/1.1.0.yaml'), 'utf-8')
+        );
+        assert.deepStrictEqual(aaa.properties.new_field, { type: 'string' });
+    });
 });
 
 describe('findSchemasByTitleAndMajor', function() {
@@ -797,24 +2164,88 @@ describe('Test Schema Repository Tests', function() {
         const oldSchema = await getSchemaById('/basic/1.0.0', options);
         const newSchema = await getSchemaById('/basic/1.1.0', options);
 
-        // Modify newSchema.required.
-        newSchema.required.push('test_number');
-        assert.throws(
-            () => assertCompatible(newSchema, oldSchema),
-            assert.AssertionError
-        );
+        // Modify newSchema.required.
+        newSchema.required.push('test_number');
+        assert.throws(
+            () => assertCompatible(newSchema, oldSchema),
+            assert.AssertionError
+        );
+
+        delete newSchema.required;
+        assert.throws(
+            () => assertCompatible(newSchema, oldSchema),
+            assert.AssertionError
+        );
+    });
+
+    it('Should fail compatibility test if a enum is not a superset', async function() {
+        const compatibilityTests = rewire('../lib/tests/compatibility');
+        const assertCompatible = compatibilityTests.__get__('assertCompatible');
+
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+
+        const oldSchema = await getSchemaById('/basic/1.0.0', options);
+        const newSchema = await getSchemaById('/basic/1.1.0', options);
+
+        // Modify oldSchema test_enum field so that newSchema's test_enum is not a superset.
+        oldSchema.properties.test_enum.enum.push('val0');
+
+        assert.throws(
+            () => assertCompatible(newSchema, oldSchema),
+            assert.AssertionError
+        );
+
+        // // Test that removing an enum fails.
+        delete newSchema.properties.test_enum.enum;
+        assert.throws(
+            () => assertCompatible(newSchema, oldSchema),
+            assert.AssertionError
+        );
+    });
+
+    it('Should fail compatibility test if a field is removed', async function() {
+        const compatibilityTests = rewire('../lib/tests/compatibility');
+        const assertCompatible = compatibilityTests.__get__('assertCompatible');
+
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+
+        const oldSchema = await getSchemaById('/basic/1.0.0', options);
+        const newSchema = await getSchemaById('/basic/1.1.0', options);
+
+        delete newSchema.properties.test_map;
+        assert.throws(
+            () => assertCompatible(newSchema, oldSchema),
+            assert.AssertionError
+        );
+    });
+
+    it('checkCompatibility should return all compatibility violations', async function() {
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+
+        const oldSchema = await getSchemaById('/basic/1.0.0', options);
+        const newSchema = await getSchemaById('/basic/1.1.0', options);
+
+        assert.deepStrictEqual(checkCompatibility(newSchema, oldSchema), []);
 
-        delete newSchema.required;
-        assert.throws(
-            () => assertCompatible(newSchema, oldSchema),
-            assert.AssertionError
+        delete newSchema.properties.test_map;
+        newSchema.required.push('test_number');
+        const violations = checkCompatibility(newSchema, oldSchema);
+        assert.deepStrictEqual(
+            violations.map(v => [v.path, v.rule]).sort(),
+            [['.properties.test_map', 'field-removed'], ['.required', 'required-modified']]
         );
     });
 
-    it('Should fail compatibility test if a enum is not a superset', async function() {
-        const compatibilityTests = rewire('../lib/tests/compatibility');
-        const assertCompatible = compatibilityTests.__get__('assertCompatible');
-
+    it('checkCompatibility should honor compatibilityMode', async function() {
         const options = readConfig({
             schemaBasePath: fixture.resolve('schemas/'),
             contentTypes: ['yaml'],
@@ -823,23 +2254,181 @@ describe('Test Schema Repository Tests', function() {
         const oldSchema = await getSchemaById('/basic/1.0.0', options);
         const newSchema = await getSchemaById('/basic/1.1.0', options);
 
-        // Modify oldSchema test_enum field so that newSchema's test_enum is not a superset.
-        oldSchema.properties.test_enum.enum.push('val0');
+        // basic 1.1.0 only adds fields, so it is backward but not forward compatible.
+        assert.deepStrictEqual(
+            checkCompatibility(newSchema, oldSchema, { ...options, compatibilityMode: 'backward' }),
+            []
+        );
 
-        assert.throws(
-            () => assertCompatible(newSchema, oldSchema),
-            assert.AssertionError
+        const forwardViolations = checkCompatibility(
+            newSchema, oldSchema, { ...options, compatibilityMode: 'forward' }
+        );
+        assert.ok(forwardViolations.length > 0);
+        assert.ok(forwardViolations.every(v => v.direction === 'forward'));
+        assert.ok(forwardViolations.some(v => v.path === '.properties.test_number'));
+
+        assert.deepStrictEqual(
+            checkCompatibility(newSchema, oldSchema, { ...options, compatibilityMode: 'full' }),
+            forwardViolations
+        );
+
+        // compatibilityMode can be configured per $id regex.
+        const modesBySchemaId = { '/basic/.*': 'none', '.*': 'full' };
+        assert.strictEqual(
+            schemaCompatibilityMode(newSchema, { ...options, compatibilityMode: modesBySchemaId }),
+            'none'
+        );
+        newSchema.properties.test_enum.enum = ['val1'];
+        assert.deepStrictEqual(
+            checkCompatibility(
+                newSchema, oldSchema, { ...options, compatibilityMode: modesBySchemaId }
+            ),
+            []
         );
 
-        // // Test that removing an enum fails.
-        delete newSchema.properties.test_enum.enum;
         assert.throws(
-            () => assertCompatible(newSchema, oldSchema),
-            assert.AssertionError
+            () => checkCompatibility(
+                newSchema, oldSchema, { ...options, compatibilityMode: 'sideways' }
+            ),
+            /Invalid compatibilityMode sideways/
         );
     });
 
-    it('Should fail compatibility test if a field is removed', async function() {
+    it('checkCompatibility should allow relaxing but not tightening constraints', async function() {
+        const oldSchema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', maxLength: 100, pattern: '^[a-z]+$' },
+                count: { type: 'integer', minimum: 0, maximum: 10 },
+                // A property named like a constraint keyword is not a constraint.
+                pattern: { type: 'string' },
+            },
+        };
+
+        const relaxedSchema = _.cloneDeep(oldSchema);
+        relaxedSchema.properties.name.maxLength = 200;
+        delete relaxedSchema.properties.name.pattern;
+        relaxedSchema.properties.count.minimum = -10;
+        delete relaxedSchema.properties.count.maximum;
+        assert.deepStrictEqual(checkCompatibility(relaxedSchema, oldSchema), []);
+
+        const tightenedSchema = _.cloneDeep(oldSchema);
+        tightenedSchema.properties.name.maxLength = 50;
+        tightenedSchema.properties.name.format = 'uri';
+        tightenedSchema.properties.count.minimum = 1;
+        const violations = checkCompatibility(tightenedSchema, oldSchema);
+        assert.deepStrictEqual(
+            violations.map(v => [v.path, v.rule]).sort(),
+            [
+                ['.properties.count.minimum', 'constraint-tightened'],
+                ['.properties.name.format', 'constraint-tightened'],
+                ['.properties.name.maxLength', 'constraint-tightened'],
+            ]
+        );
+    });
+
+    it('checkCompatibility should compare decimal multipleOf constraints exactly', async function() {
+        const oldSchema = {
+            type: 'object',
+            properties: {
+                price: { type: 'number', multipleOf: 0.07 },
+                ratio: { type: 'number', multipleOf: 0.3 },
+            },
+        };
+
+        // 0.07 / 0.01 and 0.3 / 0.1 are not integers in floating point.
+        const relaxedSchema = _.cloneDeep(oldSchema);
+        relaxedSchema.properties.price.multipleOf = 0.01;
+        relaxedSchema.properties.ratio.multipleOf = 0.1;
+        assert.deepStrictEqual(checkCompatibility(relaxedSchema, oldSchema), []);
+
+        const tightenedSchema = _.cloneDeep(oldSchema);
+        tightenedSchema.properties.price.multipleOf = 0.02;
+        tightenedSchema.properties.ratio.multipleOf = 0.6;
+        const violations = checkCompatibility(tightenedSchema, oldSchema);
+        assert.deepStrictEqual(
+            violations.map(v => [v.path, v.rule]).sort(),
+            [
+                ['.properties.price.multipleOf', 'constraint-tightened'],
+                ['.properties.ratio.multipleOf', 'constraint-tightened'],
+            ]
+        );
+    });
+
+    it('checkCompatibility should treat unset constraints as their permissive default', async function() {
+        const oldSchema = {
+            type: 'object',
+            properties: {
+                names: { type: 'array', items: { type: 'string' } },
+                tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+            },
+        };
+
+        // Setting the permissive default, or removing a constraint, does not tighten it.
+        const relaxedSchema = _.cloneDeep(oldSchema);
+        relaxedSchema.properties.names.uniqueItems = false;
+        relaxedSchema.properties.names.unevaluatedItems = true;
+        delete relaxedSchema.properties.tags.uniqueItems;
+        relaxedSchema.unevaluatedProperties = true;
+        assert.deepStrictEqual(checkCompatibility(relaxedSchema, oldSchema), []);
+        assert.deepStrictEqual(
+            checkCompatibility(oldSchema, relaxedSchema).map(v => [v.rule, v.message]),
+            [['constraint-tightened', 'Added uniqueItems constraint at: .properties.tags.uniqueItems']]
+        );
+
+        const tightenedSchema = _.cloneDeep(oldSchema);
+        tightenedSchema.properties.names.uniqueItems = true;
+        tightenedSchema.properties.names.unevaluatedItems = false;
+        tightenedSchema.unevaluatedProperties = false;
+        assert.deepStrictEqual(
+            checkCompatibility(tightenedSchema, oldSchema).map(v => [v.path, v.rule]).sort(),
+            [
+                ['.properties.names.uniqueItems', 'constraint-tightened'],
+                ['.properties.names.unevaluatedItems', 'constraint-tightened'],
+                ['.unevaluatedProperties', 'constraint-tightened'],
+            ].sort()
+        );
+    });
+
+    it('suggestSchemaVersion should suggest the minimum version bump', async function() {
+        const options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+        const legacyCurrentPath = fixture.resolve('schemas/legacy/current.yaml');
+        const legacyCurrent = yaml.safeLoad(await fse.readFile(legacyCurrentPath, 'utf-8'));
+
+        // legacy/current.yaml is the same as its latest version 1.1.0.
+        let suggestion = await suggestSchemaVersion(legacyCurrentPath, options);
+        assert.strictEqual(suggestion.latestVersion, '1.1.0');
+        assert.strictEqual(suggestion.bump, null);
+        assert.strictEqual(suggestion.suggestedVersion, '1.1.0');
+
+        legacyCurrent.description = 'Updated description';
+        await fse.writeFile(legacyCurrentPath, yaml.dump(legacyCurrent));
+        suggestion = await suggestSchemaVersion(legacyCurrentPath, options);
+        assert.strictEqual(suggestion.bump, 'patch');
+        assert.strictEqual(suggestion.suggestedVersion, '1.1.1');
+
+        legacyCurrent.properties.new_field = { type: 'string' };
+        await fse.writeFile(legacyCurrentPath, yaml.dump(legacyCurrent));
+        suggestion = await suggestSchemaVersion(legacyCurrentPath, options);
+        assert.strictEqual(suggestion.bump, 'minor');
+        assert.strictEqual(suggestion.suggestedVersion, '1.2.0');
+
+        delete legacyCurrent.properties.testNonSnakeCase;
+        await fse.writeFile(legacyCurrentPath, yaml.dump(legacyCurrent));
+        suggestion = await suggestSchemaVersion(
+            legacyCurrentPath, { ...options, shouldWriteVersion: true }
+        );
+        assert.strictEqual(suggestion.bump, 'major');
+        assert.strictEqual(suggestion.suggestedVersion, '2.0.0');
+        assert.strictEqual(suggestion.written, true);
+        const rewrittenSchema = yaml.safeLoad(await fse.readFile(legacyCurrentPath, 'utf-8'));
+        assert.strictEqual(rewrittenSchema.$id, '/legacy/2.0.0');
+    });
+
+    it('Should report all compatibility violations in a single assertion failure', async function() {
         const compatibilityTests = rewire('../lib/tests/compatibility');
         const assertCompatible = compatibilityTests.__get__('assertCompatible');
 
@@ -852,9 +2441,16 @@ describe('Test Schema Repository Tests', function() {
         const newSchema = await getSchemaById('/basic/1.1.0', options);
 
         delete newSchema.properties.test_map;
+        delete newSchema.properties.test_enum.enum;
         assert.throws(
             () => assertCompatible(newSchema, oldSchema),
-            assert.AssertionError
+            (err) => {
+                assert.ok(err instanceof assert.AssertionError);
+                assert.ok(err.message.includes('Found 2 compatibility violations'));
+                assert.ok(err.message.includes('[field-removed]'));
+                assert.ok(err.message.includes('[enum-removed]'));
+                return true;
+            }
         );
     });
 
@@ -974,3 +2570,604 @@ describe('Test Schema Repository Tests', function() {
         );
     });
 });
+
+describe('Repository test reports', function() {
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+            skipSchemaTestCases: {
+                '/legacy/.*': ['schema-snake-case-properties'],
+                '/legacy/1.1.0': ['schema-version-compatibility'],
+            },
+            ignoreSchemas: ['different'],
+        }, true);
+        await materializeAllSchemas(options);
+    });
+
+    it('should run repository tests without mocha and report results per schema', async () => {
+        const report = await runRepositoryTests(options);
+        assert.deepStrictEqual(Object.keys(report.schemas).sort(), ['basic', 'common', 'legacy']);
+        assert.strictEqual(report.stats.failed, 0);
+        assert.strictEqual(
+            report.stats.tests,
+            _.sumBy(_.values(report.schemas), schemaResults => schemaResults.stats.tests)
+        );
+
+        const legacyResults = report.schemas.legacy.tests;
+        assert.deepStrictEqual(
+            _.uniq(legacyResults.map(result => result.suite)),
+            ['structure', 'robustness', 'compatibility']
+        );
+        const skipped = legacyResults.filter(result => result.status === 'skipped');
+        assert.ok(skipped.some(result => result.name === '1.1.0.yaml properties must be snake_case'));
+        assert.ok(skipped.some(result => result.suite === 'compatibility'));
+        assert.strictEqual(report.schemas.legacy.stats.skipped, skipped.length);
+    });
+
+    it('should name compatibility test cases the same in every compatibilityMode', async () => {
+        for (const compatibilityMode of ['backward', 'full', 'none']) {
+            const report = await runRepositoryTests({ ...options, compatibilityMode });
+            assert.deepStrictEqual(
+                report.schemas.basic.tests
+                    .filter(result => result.suite === 'compatibility')
+                    .map(result => result.name),
+                [
+                    'Major Version 1 1.1.0 must be compatible with 1.0.0',
+                    'Major Version 1 1.2.0 must be compatible with 1.1.0',
+                ]
+            );
+        }
+    });
+
+    it('should report failed test cases with their error', async () => {
+        const report = await runRepositoryTests({ ...options, skipSchemaTestCases: {} });
+        const failed = report.schemas.legacy.tests.filter(result => result.status === 'failed');
+        assert.ok(failed.length > 0);
+        assert.strictEqual(report.stats.failed, failed.length);
+        const snakeCaseFailure = failed.find(result => result.name.endsWith('must be snake_case'));
+        assert.strictEqual(snakeCaseFailure.suite, 'robustness');
+        assert.ok(/Non snake_case/.test(snakeCaseFailure.error));
+    });
+
+    it('should format reports as JSON, JUnit XML or TAP', async () => {
+        const report = await runRepositoryTests({ ...options, skipSchemaTestCases: {} });
+
+        assert.deepStrictEqual(JSON.parse(formatTestReport(report, 'json')), report);
+
+        const junit = formatTestReport(report, 'junit');
+        assert.ok(junit.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites '));
+        assert.ok(junit.includes(`failures="${report.stats.failed}"`));
+        assert.ok(junit.includes('<testsuite name="legacy" '));
+        assert.ok(/<testcase classname="legacy\.robustness" name="[^"]*snake_case" time="[0-9.]+">\n\s*<failure message="Non snake_case/.test(junit));
+
+        const tap = formatTestReport(report, 'tap').split('\n');
+        assert.deepStrictEqual(tap.slice(0, 2), ['TAP version 13', `1..${report.stats.tests}`]);
+        assert.strictEqual(
+            tap.filter(line => line.startsWith('not ok ')).length, report.stats.failed
+        );
+        assert.ok(tap.some(line => /^not ok \d+ - legacy: robustness: .*snake_case$/.test(line)));
+
+        assert.throws(() => formatTestReport(report, 'html'), /Unknown test report format html/);
+    });
+
+    it('should run custom robustness rules from robustnessRules', async () => {
+        const rulePath = fixture.resolve('rules/dt.js');
+        await fse.outputFile(rulePath, `
+            const assert = require('assert');
+            module.exports = {
+                name: 'schema-has-dt',
+                description: 'must have a dt property',
+                assertFn: schema => assert.ok(schema.properties.dt, 'missing dt property'),
+                condition: schemaInfo => !schemaInfo.current,
+            };
+        `);
+        const report = await runRepositoryTests({
+            ...options,
+            robustnessRules: [rulePath],
+            skipSchemaTestCases: { ...options.skipSchemaTestCases, '/basic/.*': ['schema-has-dt'] },
+        });
+        const dtResults = title => report.schemas[title].tests
+            .filter(result => result.name.endsWith('must have a dt property'));
+
+        assert.deepStrictEqual(
+            dtResults('common').map(result => [result.name, result.status]),
+            [['1.0.0.yaml must have a dt property', 'passed']]
+        );
+        assert.deepStrictEqual(
+            _.uniq(dtResults('basic').map(result => result.status)), ['skipped']
+        );
+        const legacyResults = dtResults('legacy');
+        assert.strictEqual(legacyResults.length, 2);
+        legacyResults.forEach((result) => {
+            assert.strictEqual(result.status, 'failed');
+            assert.strictEqual(result.error, 'missing dt property');
+        });
+    });
+
+    it('should fail on invalid or duplicate custom robustness rules', async () => {
+        const rulePath = fixture.resolve('rules/invalid.js');
+        await fse.outputFile(rulePath, 'module.exports = [{ name: \'no-assert-fn\', description: \'x\' }];');
+        await assert.rejects(
+            runRepositoryTests({ ...options, robustnessRules: [rulePath] }),
+            /Robustness rule in .*invalid\.js must have a name, a description, an assertFn function/
+        );
+
+        const duplicateRulePath = fixture.resolve('rules/duplicate.js');
+        await fse.outputFile(
+            duplicateRulePath,
+            'module.exports = { name: \'schema-is-valid\', description: \'x\', assertFn: () => {} };'
+        );
+        await assert.rejects(
+            runRepositoryTests({ ...options, robustnessRules: [duplicateRulePath] }),
+            /Robustness rule names must be unique, found duplicates: schema-is-valid/
+        );
+    });
+});
+
+describe('Schema linting', function() {
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+    });
+
+    const violationRules = results => _.fromPairs(results.map(
+        result => [result.title, result.violations.map(violation => violation.rule)]
+    ));
+
+    it('should lint current schemas with the robustness rules', async () => {
+        const results = await lintSchemas([], options);
+        assert.ok(results.every(result => path.basename(result.path) === 'current.yaml'));
+        assert.deepStrictEqual(violationRules(results), {
+            basic: ['schema-enforced-numeric-bounds'],
+            common: [],
+            incorrect: [],
+            legacy: ['schema-snake-case-properties'],
+        });
+        assert.strictEqual(
+            formatLintViolations(results),
+            `${fixture.resolve('schemas/legacy/current.yaml')}:15:3: Non snake_case: ` +
+            '#//properties/testNonSnakeCase (schema-snake-case-properties)\n' +
+            `${fixture.resolve('schemas/basic/current.yaml')}:14:3: field test_number doesn't have ` +
+            'a valid minimum value (schema-enforced-numeric-bounds)'
+        );
+
+        const legacyResults = await lintSchemas(
+            [fixture.resolve('schemas/legacy/current.yaml')],
+            { ...options, skipSchemaTestCases: { '/legacy/.*': ['schema-snake-case-properties'] } }
+        );
+        assert.deepStrictEqual(violationRules(legacyResults), { legacy: [] });
+    });
+
+    it('should only lint with selected rules', async () => {
+        const selectedResults = await lintSchemas(
+            [fixture.resolve('schemas/')],
+            { ...options, lintRules: ['schema-snake-case-properties', 'schema-is-valid'] }
+        );
+        assert.deepStrictEqual(_.flatten(_.values(violationRules(selectedResults))), [
+            'schema-snake-case-properties'
+        ]);
+
+        const ignoredResults = await lintSchemas(
+            [], { ...options, lintIgnoreRules: ['schema-snake-case-properties'] }
+        );
+        assert.deepStrictEqual(_.flatten(_.values(violationRules(ignoredResults))), [
+            'schema-enforced-numeric-bounds'
+        ]);
+
+        await assert.rejects(
+            lintSchemas([], { ...options, lintRules: ['schema-is-valid', 'no-such-rule'] }),
+            /Unknown robustness rules no-such-rule, must be some of schema-is-valid,/
+        );
+    });
+
+    it('should fix current schemas with rules that have a fixFn', async () => {
+        const schemaPath = fixture.resolve('schemas/fixable/current.yaml');
+        await fse.outputFile(schemaPath, yaml.dump({
+            title: 'fixable',
+            $id: '/fixable/1.0.0',
+            $schema: 'https://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 0 },
+                nested: {
+                    type: 'object',
+                    properties: { a: { type: 'string' } },
+                    required: ['a', 'b'],
+                },
+            },
+            required: ['count', 'missing'],
+        }));
+
+        const unfixedResults = await lintSchemas([schemaPath], options);
+        assert.deepStrictEqual(violationRules(unfixedResults), {
+            fixable: ['schema-required-properties-exist', 'schema-enforced-numeric-bounds'],
+        });
+
+        const results = await lintSchemas([schemaPath], { ...options, shouldFixLint: true });
+        assert.deepStrictEqual(results[0].fixed, [
+            'schema-required-properties-exist', 'schema-enforced-numeric-bounds'
+        ]);
+        assert.deepStrictEqual(results[0].violations, []);
+
+        const fixedSchema = yaml.safeLoad(await fse.readFile(schemaPath, 'utf-8'));
+        assert.deepStrictEqual(fixedSchema.required, ['count']);
+        assert.deepStrictEqual(fixedSchema.properties.nested.required, ['a']);
+        assert.deepStrictEqual(
+            fixedSchema.properties.count, { type: 'integer', minimum: 0, maximum: Number.MAX_SAFE_INTEGER }
+        );
+
+        // Fixed schemas are not fixed again.
+        const refixedResults = await lintSchemas([schemaPath], { ...options, shouldFixLint: true });
+        assert.deepStrictEqual(refixedResults[0].fixed, []);
+    });
+
+    it('should keep comments and not fix with skipped rules', async () => {
+        const schemaPath = fixture.resolve('schemas/fixable/current.yaml');
+        const content = [
+            '# The fixable schema.',
+            'title: fixable',
+            '$id: /fixable/1.0.0',
+            '$schema: https://json-schema.org/draft-07/schema#',
+            'type: object',
+            'properties:',
+            '  count:',
+            '    type: integer # A count.',
+            '    minimum: 0',
+            'required:',
+            '  - count',
+            '  - missing',
+            '',
+        ].join('\n');
+        await fse.outputFile(schemaPath, content);
+
+        const skipOptions = {
+            ...options,
+            shouldFixLint: true,
+            skipSchemaTestCases: { '/fixable/.*': ['schema-enforced-numeric-bounds'] },
+        };
+        let results = await lintSchemas([schemaPath], skipOptions);
+        assert.deepStrictEqual(results[0].fixed, ['schema-required-properties-exist']);
+        assert.strictEqual(
+            await fse.readFile(schemaPath, 'utf-8'),
+            content.replace('  - missing\n', '')
+        );
+
+        // Rules without their configuration are not checked, nor used to fix.
+        results = await lintSchemas(
+            [schemaPath], { ...options, shouldFixLint: true, enforcedNumericBounds: null }
+        );
+        assert.deepStrictEqual(results[0].fixed, []);
+        assert.deepStrictEqual(results[0].violations, []);
+        assert.deepStrictEqual(
+            enforceNumericBounds({ type: 'integer' }, undefined), { type: 'integer' }
+        );
+    });
+
+    it('should only change the fixed nodes when fixing YAML', async () => {
+        // basic has folded, multi-line and over 80 characters long descriptions.
+        const schemaPath = fixture.resolve('schemas/basic/current.yaml');
+        const content = await fse.readFile(schemaPath, 'utf-8');
+        const results = await lintSchemas([schemaPath], { ...options, shouldFixLint: true });
+        assert.deepStrictEqual(results[0].fixed, ['schema-enforced-numeric-bounds']);
+        assert.strictEqual(
+            await fse.readFile(schemaPath, 'utf-8'),
+            content
+                .replace(
+                    '    type: number\n',
+                    '    type: number\n' +
+                    `    minimum: ${-Number.MAX_SAFE_INTEGER}\n` +
+                    `    maximum: ${Number.MAX_SAFE_INTEGER}\n`
+                )
+                .replace(
+                    '    type: integer\n    minimum: 0\n',
+                    `    type: integer\n    minimum: 0\n    maximum: ${Number.MAX_SAFE_INTEGER}\n`
+                )
+        );
+    });
+
+    it('should keep the values of YAML nodes that are not fixed', async () => {
+        const schemaPath = fixture.resolve('schemas/fixable/current.yaml');
+        // js-yaml reads 2020-06-25 as a date, 012 as 10 and yes as a string.
+        const content = [
+            'title: fixable',
+            '$id: /fixable/1.0.0',
+            '$schema: https://json-schema.org/draft-07/schema#',
+            'type: object',
+            'properties: {dt: {type: string}, count: {type: integer, minimum: 0}}',
+            'required: [dt, missing]',
+            'examples:',
+            '  - {dt: 2020-06-25, count: 012, flag: yes}',
+            '',
+        ].join('\n');
+        await fse.outputFile(schemaPath, content);
+
+        const results = await lintSchemas([schemaPath], { ...options, shouldFixLint: true });
+        assert.deepStrictEqual(results[0].fixed, [
+            'schema-required-properties-exist', 'schema-enforced-numeric-bounds'
+        ]);
+        assert.strictEqual(
+            await fse.readFile(schemaPath, 'utf-8'),
+            content
+                .replace('minimum: 0}', `minimum: 0, maximum: ${Number.MAX_SAFE_INTEGER}}`)
+                .replace('[dt, missing]', '[dt]')
+        );
+    });
+
+    it('should rewrite YAML files that can not be fixed in place', async () => {
+        const schemaPath = fixture.resolve('schemas/fixable/current.yaml');
+        // The first key of a mapping in a sequence can't be deleted in place.
+        const content = [
+            '# The fixable schema.',
+            'title: fixable',
+            '$id: /fixable/1.0.0',
+            '$schema: https://json-schema.org/draft-07/schema#',
+            'allOf:',
+            '  - required:',
+            '      - missing',
+            '    type: object',
+            '',
+        ].join('\n');
+        await fse.outputFile(schemaPath, content);
+
+        const warnings = [];
+        const log = {
+            ..._.fromPairs(['trace', 'debug', 'info', 'error', 'fatal'].map(level => [level, _.noop])),
+            warn: message => warnings.push(message),
+        };
+        const results = await lintSchemas([schemaPath], { ...options, log, shouldFixLint: true });
+        assert.deepStrictEqual(results[0].fixed, ['schema-required-properties-exist']);
+        assert.deepStrictEqual(warnings, [
+            `Could not fix ${schemaPath} in place, rewriting it without its comments`
+        ]);
+        assert.deepStrictEqual(
+            yaml.safeLoad(await fse.readFile(schemaPath, 'utf-8')).allOf, [{ type: 'object' }]
+        );
+    });
+});
+
+describe('Schema source locations', function() {
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+    });
+
+    it('should locate dereferenced schema nodes in their source files', async () => {
+        const basicPath = fixture.resolve('schemas/basic/current.yaml');
+        const schema = await readObject(basicPath);
+
+        assert.deepStrictEqual(
+            schemaSourceLocation(schema, '/properties/test_number', options),
+            { file: basicPath, line: 14, column: 3 }
+        );
+        // dt comes from the allOf $ref'd common schema.
+        const dtLocation = schemaSourceLocation(schema, '/properties/dt', options);
+        assert.deepStrictEqual(dtLocation, {
+            file: fixture.resolve('schemas/common/1.0.0.yaml'), line: 14, column: 3
+        });
+        assert.strictEqual(
+            formatSourceLocation(dtLocation), `${fixture.resolve('schemas/common/1.0.0.yaml')}:14:3`
+        );
+        // Nodes that don't exist are located at their closest existing ancestor.
+        assert.deepStrictEqual(
+            schemaSourceLocation(schema, '/properties/test_number/minimum', options),
+            { file: basicPath, line: 14, column: 3 }
+        );
+        // JSON files are located too.
+        const jsonPath = fixture.resolve('schemas/basic/current.json');
+        await fse.writeFile(jsonPath, JSON.stringify(schema, null, 2));
+        assert.deepStrictEqual(
+            schemaSourceLocation(await readObject(jsonPath), '/properties/test_number', options),
+            { file: jsonPath, line: 18, column: 5 }
+        );
+        // Objects that were not read from a file can't be located.
+        assert.strictEqual(
+            schemaSourceLocation(_.omit(schema, 'allOf'), '/properties/test_number', options),
+            undefined
+        );
+    });
+
+    it('should locate compatibility violations in the new or old schema file', async () => {
+        const oldPath = fixture.resolve('schemas/basic/current.yaml');
+        const newPath = fixture.resolve('schemas/basic/new.yaml');
+        const oldSourceSchema = await readObject(oldPath);
+        await fse.outputFile(newPath, yaml.dump(_.merge(
+            _.omit(_.cloneDeep(oldSourceSchema), 'properties.test_number'),
+            { properties: { test: { type: 'boolean' } } }
+        )));
+        const newSourceSchema = await readObject(newPath);
+
+        const violations = locateCompatibilityViolations(
+            checkCompatibility(
+                await materializeSchema(_.cloneDeep(newSourceSchema), options),
+                await materializeSchema(_.cloneDeep(oldSourceSchema), options),
+                options
+            ),
+            newSourceSchema, oldSourceSchema, options
+        );
+        const locations = _.fromPairs(violations.map(
+            violation => [violation.path, formatSourceLocation(violation.location)]
+        ));
+        assert.strictEqual(locations['.properties.test.type'], `${newPath}:11:5`);
+        // Removed fields only exist in the old schema.
+        assert.strictEqual(locations['.properties.test_number'], `${oldPath}:14:3`);
+        assert.ok(formatCompatibilityViolations(violations).includes(
+            `Removed field at: .properties.test_number (${oldPath}:14:3)`
+        ));
+    });
+});
+
+describe('Schema repository init', function() {
+    let fixture;
+    let options;
+    let repositoryPath;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        repositoryPath = fixture.resolve('repository');
+        options = readConfig({ configPaths: [], shouldInstallGitHook: false }, true);
+    });
+
+    it('should scaffold a schema repository that passes the repository tests', async () => {
+        const files = await initSchemaRepository(
+            repositoryPath, { schemaBasePath: 'schemas', contentTypes: ['yaml'] }, options
+        );
+        assert.ok(files.includes(path.join(repositoryPath, '.jsonschema-tools.yaml')));
+        assert.ok(files.includes(path.join(repositoryPath, 'test', 'schema-repository.js')));
+        assert.ok(files.includes(path.join(repositoryPath, 'schemas', 'example', 'current.yaml')));
+        assert.ok(files.includes(path.join(repositoryPath, 'schemas', 'example', '1.0.0.yaml')));
+
+        // The config file sets the given options, and documents the others commented out.
+        const configContent = await fse.readFile(
+            path.join(repositoryPath, '.jsonschema-tools.yaml'), 'utf-8'
+        );
+        assert.deepStrictEqual(yaml.safeLoad(configContent), {
+            schemaBasePath: 'schemas',
+            contentTypes: ['yaml'],
+        });
+        assert.ok(configContent.includes(
+            '# If true, materialize functions will first dereference schemas before ' +
+            'outputting them.\n# shouldDereference: true\n'
+        ));
+        assert.ok(!configContent.includes('configPaths'));
+        // All options that can be set in config files are documented.
+        assert.deepStrictEqual(
+            _.difference(_.keys(defaultOptions), _.keys(defaultOptionsDocs)), ['log']
+        );
+
+        const report = await runRepositoryTests(readConfig({
+            configPaths: [],
+            schemaBasePath: path.join(repositoryPath, 'schemas'),
+            contentTypes: ['yaml'],
+        }, true));
+        assert.deepStrictEqual(Object.keys(report.schemas), ['example']);
+        assert.ok(report.stats.passed > 0);
+        assert.strictEqual(report.stats.failed, 0);
+    });
+
+    it('should document config file options in README.md as in generated config files', async () => {
+        const configFileContent = rewire('../lib/init.js').__get__('configFileContent');
+        const readme = await fse.readFile(path.join(__dirname, '..', 'README.md'), 'utf-8');
+        const [, readmeConfig] = /## jsonschema-tools config files[^]*?```yaml\n([^]*?)```/.exec(readme);
+        assert.strictEqual(
+            readmeConfig, configFileContent({ schemaBasePath: 'jsonschema' }),
+            'README.md config file options are out of date with defaultOptionsDocs'
+        );
+    });
+
+    it('should not overwrite existing files', async () => {
+        const configPath = path.join(repositoryPath, '.jsonschema-tools.yaml');
+        await fse.outputFile(configPath, 'schemaBasePath: ./\n');
+        const files = await initSchemaRepository(
+            repositoryPath, {}, { ...options, exampleSchemaTitle: '' }
+        );
+        assert.deepStrictEqual(files, [path.join(repositoryPath, 'test', 'schema-repository.js')]);
+        assert.strictEqual(await fse.readFile(configPath, 'utf-8'), 'schemaBasePath: ./\n');
+        assert.ok(!await fse.pathExists(path.join(repositoryPath, 'jsonschema')));
+    });
+});
+
+describe('New schema scaffolding', function() {
+    let fixture;
+    let options;
+
+    beforeEach('Copying fixtures to temp directory', async function() {
+        fixture = testFixture();
+        await fixture.copy();
+        options = readConfig({
+            schemaBasePath: fixture.resolve('schemas/'),
+            contentTypes: ['yaml'],
+        }, true);
+    });
+
+    const newSchemaTestResults = async (title) => {
+        const report = await runRepositoryTests(options);
+        return report.schemas[title].stats;
+    };
+
+    it('should create a starter schema that passes the repository tests', async () => {
+        const files = await scaffoldSchema(
+            'mediawiki/page/create', undefined, { ...options, newSchemaRefs: ['/common/1.0.0'] }
+        );
+        const currentPath = fixture.resolve('schemas/mediawiki/page/create/current.yaml');
+        assert.deepStrictEqual(files.slice(0, 2), [
+            currentPath, fixture.resolve('schemas/mediawiki/page/create/1.0.0.yaml')
+        ]);
+        assert.deepStrictEqual(yaml.safeLoad(await fse.readFile(currentPath, 'utf-8')), {
+            title: 'mediawiki/page/create',
+            description: 'The mediawiki/page/create schema.',
+            $id: '/mediawiki/page/create/1.0.0',
+            $schema: 'https://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                $schema: {
+                    type: 'string',
+                    description: 'The URI identifying the JSONSchema for this event, i.e. its $id.',
+                },
+            },
+            allOf: [{ $ref: '/common/1.0.0' }],
+        });
+        const stats = await newSchemaTestResults('mediawiki/page/create');
+        assert.ok(stats.passed > 0);
+        assert.strictEqual(stats.failed, 0);
+    });
+
+    it('should create a starter schema without newSchemaRefs that passes the robustness tests', async () => {
+        await scaffoldSchema('starter', undefined, options);
+        const robustnessTests = (await runRepositoryTests(options)).schemas.starter.tests
+            .filter(test => test.suite === 'robustness');
+        assert.ok(robustnessTests.some(test => /has deterministic types/.test(test.name)));
+        assert.deepStrictEqual(
+            robustnessTests.filter(test => test.status === 'failed').map(test => test.name), []
+        );
+    });
+
+    it('should create a schema copied from an existing schema', async () => {
+        await scaffoldSchema('basic_copy', 'basic', options);
+        const readSchema = async title => yaml.safeLoad(
+            await fse.readFile(fixture.resolve(`schemas/${title}/current.yaml`), 'utf-8')
+        );
+        const schema = await readSchema('basic_copy');
+        assert.deepStrictEqual(schema, {
+            ...await readSchema('basic'),
+            title: 'basic_copy',
+            $id: '/basic_copy/1.0.0',
+        });
+        assert.strictEqual((await newSchemaTestResults('basic_copy')).failed, 0);
+    });
+
+    it('should not create invalid or existing schemas', async () => {
+        await assert.rejects(
+            scaffoldSchema('basic', undefined, options),
+            /Schema basic already exists at .*basic\/current.yaml/
+        );
+        await assert.rejects(
+            scaffoldSchema('../outside', undefined, options),
+            /Invalid schema title \.\.\/outside, must be a relative path/
+        );
+        await assert.rejects(
+            scaffoldSchema('new', 'nonexistent', options),
+            /No current schema with title nonexistent found in/
+        );
+    });
+});